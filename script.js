@@ -1,7 +1,7 @@
 const DataLoader = {
     packs: [],
     events: [],
-    cache: {}, // Cache for level units: { "packId": ["word1", ...] }
+    cache: {}, // Cache for level units: { "packId": [{ answer, ... }, ...] }
     error: null,
 
     async init() {
@@ -39,7 +39,29 @@ const DataLoader = {
         return this.packs.find(p => p.name === id) || this.events.find(e => e.name === id);
     },
 
+    // Folder holding a pack's units.json and img/
+    packPath(pack) {
+        return pack.type === 'event' ? `data/Events/${pack.name}` : `data/${pack.name}`;
+    },
+
+    // units.json entries are either a bare title or an object:
+    // { answer, alternates: [...], year, category, cast: [...], director, trivia, clues: [...] }
+    // Everything but the answer is optional
+    normalizeLevel(entry) {
+        const level = typeof entry === 'string' ? { answer: entry } : { ...entry };
+        level.answer = String(level.answer || '');
+        ['alternates', 'cast', 'clues'].forEach(key => {
+            if (!Array.isArray(level[key])) level[key] = [];
+        });
+        return level;
+    },
+
     async getLevelWords(packId) {
+        const levels = await this.getLevels(packId);
+        return levels.map(level => level.answer);
+    },
+
+    async getLevels(packId) {
         if (this.cache[packId]) return this.cache[packId];
 
         const pack = this.getPack(packId);
@@ -54,9 +76,10 @@ const DataLoader = {
 
         try {
             const res = await fetch(url);
-            const words = await res.json();
-            this.cache[packId] = words;
-            return words;
+            if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+            const levels = (await res.json()).map(entry => this.normalizeLevel(entry));
+            this.cache[packId] = levels;
+            return levels;
         } catch (e) {
             console.error(`Failed to load levels for ${packId}:`, e);
             return [];
@@ -64,6 +87,154 @@ const DataLoader = {
     }
 };
 
+// --- Clock ---
+// Everything schedule-related reads the time from here, so tests can swap in a fixed clock:
+// Clock.use(() => Date.parse('2026-11-01T12:00:00Z'))
+const Clock = {
+    source: () => Date.now(),
+
+    now() {
+        return this.source();
+    },
+
+    use(source) {
+        this.source = source;
+    },
+
+    reset() {
+        this.source = () => Date.now();
+    }
+};
+
+// --- Localization ---
+// UI strings live in data/locales/<locale>.json. Keys missing from a locale fall back to English.
+// A string may hold {placeholders}; one that depends on a count is an object of plural forms:
+//   "levels.count": { "one": "{count} level", "other": "{count} levels" }
+// Numbers passed in are formatted for the locale (1,00,000 in Hindi).
+const I18n = {
+    KEY: 'bollywood_locale',
+    DEFAULT: 'en',
+    LOCALES: { en: 'English', hi: 'हिन्दी' }, // Shown in the switcher in their own script
+    locale: 'en',
+    catalogs: {},
+
+    async init() {
+        const saved = StorageManager.getItem(this.KEY);
+        const browser = (navigator.language || '').slice(0, 2);
+        this.locale = this.LOCALES[saved] ? saved : (this.LOCALES[browser] ? browser : this.DEFAULT);
+
+        await Promise.all([...new Set([this.DEFAULT, this.locale])].map(locale => this.load(locale)));
+        this.apply();
+    },
+
+    async load(locale) {
+        if (this.catalogs[locale]) return;
+        try {
+            const res = await fetch(`data/locales/${locale}.json`);
+            if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+            this.catalogs[locale] = await res.json();
+        } catch (e) {
+            console.error(`Failed to load ${locale} strings:`, e);
+            this.catalogs[locale] = {};
+        }
+    },
+
+    async setLocale(locale) {
+        if (!this.LOCALES[locale]) return;
+        await this.load(locale);
+        this.locale = locale;
+        StorageManager.setItem(this.KEY, locale);
+        this.apply();
+    },
+
+    t(key, params = {}) {
+        let text = (this.catalogs[this.locale] || {})[key] ?? (this.catalogs[this.DEFAULT] || {})[key] ?? key;
+        if (typeof text === 'object') {
+            text = text[new Intl.PluralRules(this.locale).select(params.count ?? 0)] ?? text.other;
+        }
+        return text.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            return typeof params[name] === 'number' ? this.number(params[name]) : params[name];
+        });
+    },
+
+    number(n, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(n);
+    },
+
+    date(time) {
+        return new Date(time).toLocaleDateString(this.locale);
+    },
+
+    // Fixed text in index.html carries its key: data-i18n for the text, data-i18n-<attribute> for attributes
+    apply(root = document) {
+        document.documentElement.lang = this.locale;
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        ['title', 'aria-label', 'placeholder', 'alt'].forEach(attr => {
+            root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+                el.setAttribute(attr, this.t(el.getAttribute(`data-i18n-${attr}`)));
+            });
+        });
+    }
+};
+
+// --- Game Event Bus ---
+// Game reports what the player did; progress, rewards and achievements listen here instead of being called
+// directly. Listeners run in the order they were added and may write results back onto the payload.
+//   'level-solved'   { packId, levelIndex, mode, dateKey, hintsUsed, wrong, seconds, revealed }
+//   'level-skipped'  { packId, levelIndex, mode, hintsUsed, wrong, seconds }
+//   'hint-used'      { packId, levelIndex, mode, hint, price }
+//   'pack-completed' { packId }
+// mode is 'pack', 'daily', 'blitz' or 'practice'
+const Bus = {
+    listeners: {},
+
+    on(type, fn) {
+        (this.listeners[type] = this.listeners[type] || []).push(fn);
+    },
+
+    emit(type, payload = {}) {
+        (this.listeners[type] || []).forEach(fn => fn(payload));
+        return payload;
+    }
+};
+
+// --- Seeded Randomness ---
+const Random = {
+    // FNV-1a hash, turns any string into a 32-bit seed
+    hash(str) {
+        let h = 2166136261;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 16777619);
+        }
+        return h >>> 0;
+    },
+
+    // Mulberry32 generator: same seed, same sequence on every device
+    seeded(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    shuffle(array, rng = Math.random) {
+        // Fisher-Yates shuffle
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(rng() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+};
+
 // --- Storage Management ---
 const StorageManager = {
     SECRET_KEY: 'bollywood_secret_key_v1', // Simple key for obfuscation
@@ -113,6 +284,341 @@ const StorageManager = {
 
     removeItem(key) {
         localStorage.removeItem(key);
+    },
+
+    // --- Versioned save document ---
+    SAVE_KEY: 'bollywood_save',
+    SCHEMA_VERSION: 2,
+    QUARANTINE_PREFIX: 'bollywood_quarantine_',
+    SEQ_KEY: 'bollywood_seq', // Save counter kept apart from the save to spot rollbacks
+    DEVICE_KEY: 'bollywood_device',
+    // Version 0: one key per field, written before the save document existed
+    LEGACY_KEYS: {
+        coins: 'bollywood_coins',
+        stars: 'bollywood_stars',
+        unlocked: 'bollywood_unlocked',
+        completed: 'bollywood_completed',
+        purchased: 'bollywood_purchased',
+        daily: 'bollywood_daily',
+        difficulty: 'bollywood_difficulty',
+        blitzScores: 'bollywood_blitz_scores'
+    },
+    quarantined: null, // Key of the last save moved aside this session
+    integrityIssue: null, // 'signature' or 'rollback' when the loaded save failed its checks
+    loadedSchemaVersion: null,
+
+    // MIGRATIONS[n] upgrades a version n-1 document to version n
+    MIGRATIONS: {
+        1: () => {
+            const legacy = {};
+            Object.entries(StorageManager.LEGACY_KEYS).forEach(([field, key]) => {
+                const value = StorageManager.getItem(key);
+                if (value !== null) legacy[field] = value;
+            });
+
+            const coins = legacy.coins !== undefined ? parseInt(legacy.coins) : 100;
+            const stars = legacy.stars !== undefined ? parseInt(legacy.stars) : 0;
+            if (isNaN(coins) || isNaN(stars)) throw new Error('Legacy coins/stars are not numbers');
+
+            return {
+                coins,
+                stars,
+                unlocked: legacy.unlocked || {},
+                completed: legacy.completed || {},
+                purchased: legacy.purchased || {},
+                daily: legacy.daily,
+                difficulty: legacy.difficulty,
+                blitzScores: legacy.blitzScores,
+                revisions: {}
+            };
+        },
+
+        // Start the coin ledger from the balance the honest old save already had
+        2: (doc) => ({
+            ...doc,
+            ledger: Ledger.create(doc.coins),
+            integrity: { flagged: false, events: [] },
+            seq: 0
+        })
+    },
+
+    hasLegacySave() {
+        return Object.values(this.LEGACY_KEYS).some(key => localStorage.getItem(key) !== null);
+    },
+
+    // Returns the current-version save document, or null for a fresh start
+    loadSave() {
+        const raw = localStorage.getItem(this.SAVE_KEY);
+        let doc;
+
+        if (raw) {
+            doc = this.decrypt(raw);
+            if (!doc || typeof doc.schemaVersion !== 'number') {
+                this.quarantine(raw, 'Save could not be decrypted');
+                return null;
+            }
+        } else if (this.hasLegacySave()) {
+            doc = { schemaVersion: 0 };
+        } else {
+            return null;
+        }
+
+        if (doc.schemaVersion > this.SCHEMA_VERSION) {
+            this.quarantine(raw, `Save is from a newer schema (v${doc.schemaVersion})`);
+            return null;
+        }
+
+        // Signed saves must still carry a valid signature and must not be older than the last write
+        this.loadedSchemaVersion = doc.schemaVersion;
+        if (doc.schemaVersion >= 2) {
+            this.integrityIssue = this.checkIntegrity(doc);
+        }
+
+        try {
+            // Upgrade one version at a time, in order
+            for (let v = doc.schemaVersion + 1; v <= this.SCHEMA_VERSION; v++) {
+                doc = { ...this.MIGRATIONS[v](doc), schemaVersion: v };
+            }
+        } catch (e) {
+            this.quarantine(raw || this.legacyDump(), `Migration failed: ${e.message}`);
+            return null;
+        }
+
+        const error = this.validateSave(doc);
+        if (error) {
+            this.quarantine(raw || this.legacyDump(), error);
+            return null;
+        }
+        return doc;
+    },
+
+    writeSave(data) {
+        const seq = Math.max(data.seq || 0, parseInt(this.getItem(this.SEQ_KEY)) || 0) + 1;
+        const doc = { ...data, seq, schemaVersion: this.SCHEMA_VERSION };
+        doc.sig = this.sign(doc);
+
+        this.setItem(this.SAVE_KEY, doc);
+        this.setItem(this.SEQ_KEY, seq);
+        // The document supersedes the old per-field keys
+        Object.values(this.LEGACY_KEYS).forEach(key => this.removeItem(key));
+        return seq;
+    },
+
+    /*
+     * The signing key mixes the shipped secret with a random per-device salt. Anything that runs
+     * in the browser can be reverse-engineered, so this catches casual edits and copied saves;
+     * the flags it raises are what a server-side event check should look at.
+     */
+    signingKey() {
+        let salt = localStorage.getItem(this.DEVICE_KEY);
+        if (!salt) {
+            salt = CryptoJS.lib.WordArray.random(16).toString();
+            localStorage.setItem(this.DEVICE_KEY, salt);
+        }
+        return `${this.SECRET_KEY}:${salt}`;
+    },
+
+    sign(doc) {
+        const { sig, ...unsigned } = doc;
+        return CryptoJS.HmacSHA256(JSON.stringify(unsigned), this.signingKey()).toString();
+    },
+
+    checkIntegrity(doc) {
+        if (!doc.sig || doc.sig !== this.sign(doc)) return 'signature';
+
+        const lastSeq = parseInt(this.getItem(this.SEQ_KEY)) || 0;
+        if ((doc.seq || 0) < lastSeq) return 'rollback';
+        return null;
+    },
+
+    // Returns an error message for a malformed save, or null if it looks sound. Saves also arrive from
+    // shared backup codes, so every value is type-checked down to the leaves before anything renders it.
+    validateSave(data) {
+        const isCount = n => Number.isInteger(n) && n >= 0;
+        const isTime = n => typeof n === 'number' && Number.isFinite(n) && n >= 0;
+        const isText = (s, max) => typeof s === 'string' && s.length <= max;
+        const isMap = o => o !== null && typeof o === 'object' && !Array.isArray(o);
+        const isMapOf = (o, test) => isMap(o) && Object.values(o).every(test);
+        const optional = (value, test) => value === undefined || test(value);
+        // { levelIndex: value } maps
+        const isLevelMap = (o, test) => isMapOf(o, test) && Object.keys(o).every(key => /^\d+$/.test(key));
+
+        const isDaily = d => isMap(d) && optional(d.streak, isCount) && optional(d.best, isCount)
+            && (d.lastDate == null || (typeof d.lastDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d.lastDate)));
+        const isRun = r => isMap(r) && isCount(r.score) && isCount(r.solved) && isTime(r.date);
+        const isBadge = b => isMap(b) && isText(b.name, 60) && isText(b.icon, 16) && isTime(b.at) && optional(b.event, e => isText(e, 60));
+        const isStat = s => isMap(s) && isTime(s.seconds) && isCount(s.wrong) && isCount(s.hints)
+            && typeof s.skipped === 'boolean' && optional(s.at, isTime);
+        const isEntry = e => isMap(e) && isTime(e.t) && Number.isInteger(e.amount) && isText(e.reason, 40) && typeof e.hash === 'string';
+
+        if (!isMap(data)) return 'Save is not an object.';
+        if (!isCount(data.coins) || !isCount(data.stars)) return 'Invalid coin or star values.';
+        if (!isMapOf(data.unlocked, isCount)) return 'Invalid level progress.';
+        if (!isMapOf(data.completed, levels => isLevelMap(levels, done => done === true))) return 'Invalid completed levels.';
+        if (!optional(data.purchased, o => isMapOf(o, bought => bought === true))) return 'Invalid pack purchases.';
+        if (!optional(data.daily, isDaily)) return 'Invalid daily streak.';
+        if (!optional(data.difficulty, d => isText(d, 20)) || !optional(data.revealMode, m => isText(m, 20))) return 'Invalid settings.';
+        if (!optional(data.blitzScores, runs => Array.isArray(runs) && runs.every(isRun))) return 'Invalid Blitz leaderboard.';
+        if (!optional(data.revisions, o => isMapOf(o, isCount))) return 'Invalid pack revisions.';
+        if (!optional(data.badges, o => isMapOf(o, isBadge))) return 'Invalid badges.';
+        if (!optional(data.eventRewards, o => isMapOf(o, isTime))) return 'Invalid event rewards.';
+        if (!optional(data.stats, o => isMapOf(o, levels => isLevelMap(levels, isStat)))) return 'Invalid level stats.';
+        if (!optional(data.revealed, o => isMapOf(o, levels => isLevelMap(levels, isCount)))) return 'Invalid reveal progress.';
+        if (data.ledger != null && !(isMap(data.ledger) && Number.isInteger(data.ledger.carried) && typeof data.ledger.base === 'string'
+            && Array.isArray(data.ledger.entries) && data.ledger.entries.every(isEntry))) return 'Invalid coin ledger.';
+        if (!optional(data.integrity, i => isMap(i) && optional(i.flagged, f => typeof f === 'boolean')
+            && optional(i.events, events => Array.isArray(events) && events.every(isMap)))) return 'Invalid integrity record.';
+        if (!optional(data.seq, isCount)) return 'Invalid save counter.';
+        return null;
+    },
+
+    legacyDump() {
+        const dump = {};
+        Object.values(this.LEGACY_KEYS).forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value !== null) dump[key] = value;
+        });
+        return JSON.stringify(dump);
+    },
+
+    // Keep the unreadable save untouched under its own key instead of losing it
+    quarantine(raw, reason) {
+        const key = `${this.QUARANTINE_PREFIX}${Date.now()}`;
+        localStorage.setItem(key, JSON.stringify({ reason, raw }));
+        localStorage.removeItem(this.SAVE_KEY);
+        Object.values(this.LEGACY_KEYS).forEach(k => localStorage.removeItem(k));
+        this.quarantined = key;
+        console.warn(`Save quarantined as ${key}: ${reason}`);
+    },
+
+    /*
+     * Packs can list former identities in the level-details JSON:
+     *   "rev": 2,
+     *   "aliases": ["Old Name", { "id": "Movies 1", "rev": 1, "levels": [3, 0, 1, 2, null] }]
+     * `levels[old] = new` re-indexes progress (null drops a level). An alias applies while the
+     * save's revision for `id` equals the alias `rev` (default 1), so a rename or reorder runs once.
+     */
+    resolveAliases(doc, packs) {
+        doc.revisions = doc.revisions || {};
+        doc.purchased = doc.purchased || {};
+
+        packs.forEach(pack => {
+            const rev = pack.rev || 1;
+
+            (pack.aliases || []).forEach(entry => {
+                const alias = typeof entry === 'string' ? { id: entry } : entry;
+                const savedRev = doc.revisions[alias.id] || 1;
+                if (alias.id === pack.id && savedRev >= rev) return; // Already re-indexed
+                if (savedRev !== (alias.rev || 1)) return;
+
+                const hasProgress = doc.unlocked[alias.id] !== undefined || doc.completed[alias.id] || doc.purchased[alias.id]
+                    || (doc.stats || {})[alias.id] || (doc.revealed || {})[alias.id];
+                if (hasProgress) this.moveProgress(doc, alias.id, pack.id, alias.levels);
+            });
+
+            doc.revisions[pack.id] = rev;
+        });
+        return doc;
+    },
+
+    moveProgress(doc, fromId, toId, levels) {
+        const renamed = fromId !== toId;
+        const mapLevel = i => (levels && i < levels.length) ? levels[i] : i;
+
+        const oldCompleted = doc.completed[fromId] || {};
+        const oldUnlocked = doc.unlocked[fromId];
+
+        const completed = renamed ? { ...doc.completed[toId] } : {};
+        Object.keys(oldCompleted).forEach(i => {
+            const target = mapLevel(parseInt(i));
+            if (target !== null && target !== undefined) completed[target] = true;
+        });
+        doc.completed[toId] = completed;
+
+        if (oldUnlocked !== undefined) {
+            // Everything that was playable before stays playable
+            let unlocked = renamed ? (doc.unlocked[toId] || 0) : 0;
+            for (let i = 0; i <= oldUnlocked; i++) {
+                const target = mapLevel(i);
+                if (target !== null && target !== undefined) unlocked = Math.max(unlocked, target);
+            }
+            doc.unlocked[toId] = unlocked;
+        }
+
+        if (doc.purchased[fromId]) doc.purchased[toId] = true;
+
+        // Stats and reveal stages follow their levels; on a merge the entry already there wins
+        ['stats', 'revealed'].forEach(field => {
+            const old = (doc[field] || {})[fromId];
+            if (!old) return;
+            const moved = renamed ? { ...doc[field][toId] } : {};
+            Object.entries(old).forEach(([i, value]) => {
+                const target = mapLevel(parseInt(i));
+                if (target !== null && target !== undefined && moved[target] === undefined) moved[target] = value;
+            });
+            doc[field][toId] = moved;
+        });
+
+        const reward = (doc.eventRewards || {})[fromId];
+        if (reward && !doc.eventRewards[toId]) doc.eventRewards[toId] = reward;
+
+        if (renamed) {
+            delete doc.completed[fromId];
+            delete doc.unlocked[fromId];
+            delete doc.purchased[fromId];
+            delete doc.revisions[fromId];
+            if (doc.stats) delete doc.stats[fromId];
+            if (doc.revealed) delete doc.revealed[fromId];
+            if (doc.eventRewards) delete doc.eventRewards[fromId];
+        }
+    }
+};
+
+// --- Coin Ledger ---
+// Append-only, hash-chained record of every coin change so the balance can be recomputed and audited
+const Ledger = {
+    MAX_ENTRIES: 200, // Older entries are folded into the carried balance
+
+    create(openingBalance, reason = 'opening-balance') {
+        const ledger = { carried: 0, base: 'genesis', entries: [] };
+        this.record(ledger, openingBalance, reason);
+        return ledger;
+    },
+
+    hash(prev, entry) {
+        return CryptoJS.SHA256(`${prev}|${entry.t}|${entry.amount}|${entry.reason}`).toString().slice(0, 16);
+    },
+
+    record(ledger, amount, reason) {
+        const last = ledger.entries[ledger.entries.length - 1];
+        const entry = { t: Date.now(), amount, reason };
+        entry.hash = this.hash(last ? last.hash : ledger.base, entry);
+        ledger.entries.push(entry);
+        this.compact(ledger);
+    },
+
+    compact(ledger) {
+        while (ledger.entries.length > this.MAX_ENTRIES) {
+            const oldest = ledger.entries.shift();
+            ledger.carried += oldest.amount;
+            ledger.base = oldest.hash;
+        }
+    },
+
+    // Walk the chain; the balance only counts entries up to the first broken link
+    audit(ledger) {
+        if (!ledger || !Array.isArray(ledger.entries)) return { valid: false, balance: 0 };
+
+        let prev = ledger.base;
+        let balance = ledger.carried;
+        for (const entry of ledger.entries) {
+            if (!Number.isInteger(entry.amount) || entry.hash !== this.hash(prev, entry)) {
+                return { valid: false, balance };
+            }
+            balance += entry.amount;
+            prev = entry.hash;
+        }
+        return { valid: true, balance };
     }
 };
 
@@ -122,26 +628,126 @@ const State = {
     stars: 0,
     unlocked: {}, // { packId: maxLevelIndex }
     completed: {}, // { packId: { levelIndex: true } }
+    purchased: {}, // { packId: true }
+    daily: { lastDate: null, streak: 0, best: 0 },
+    difficulty: 'normal', // Key of Difficulty.LEVELS
+    revealMode: 'off', // Key of Reveal.MODES
+    blitzScores: [], // Top Blitz runs: [{ score, solved, date }], best first
+    revisions: {}, // { packId: rev } as last seen, for aliases in the level-details JSON
+    badges: {}, // { badgeId: { name, icon, at, event? } } from achievements and event rewards
+    eventRewards: {}, // { eventId: timestamp } for completion rewards already paid out
+    stats: {}, // { packId: { levelIndex: { seconds, wrong, hints, skipped, at } } }, see Stats
+    revealed: {}, // { packId: { levelIndex: stage } } furthest reveal stage seen on unsolved levels
+    ledger: null, // See Ledger; every coin change goes through addCoins/deductCoins
+    integrity: { flagged: false, events: [] }, // Tamper findings, kept so events can exclude the save
+    seq: 0, // Save counter, see StorageManager.writeSave
 
     async init() {
-        // Load from LocalStorage via StorageManager
-        const savedCoins = StorageManager.getItem('bollywood_coins');
-        if (savedCoins !== null) this.coins = parseInt(savedCoins);
+        // Load the save document via StorageManager (migrating older saves)
+        const saved = StorageManager.loadSave();
 
-        const savedStars = StorageManager.getItem('bollywood_stars');
-        if (savedStars !== null) this.stars = parseInt(savedStars);
+        // Ensure data is loaded
+        await DataLoader.init();
 
-        const savedUnlocked = StorageManager.getItem('bollywood_unlocked');
-        if (savedUnlocked) this.unlocked = savedUnlocked;
+        if (saved) {
+            this.load(StorageManager.resolveAliases(saved, [...DataLoader.packs, ...DataLoader.events]));
+        }
 
-        const savedCompleted = StorageManager.getItem('bollywood_completed');
-        if (savedCompleted) this.completed = savedCompleted;
+        this.ensurePackDefaults();
+        if (!this.ledger) this.ledger = Ledger.create(this.coins);
+        this.auditIntegrity();
+        this.listen();
 
-        // Ensure data is loaded
-        await DataLoader.init();
+        this.updateUI();
+
+        // Save immediately so migrated saves are written in the current schema
+        this.save();
+
+        if (StorageManager.quarantined) {
+            alert(I18n.t('save.unreadable'));
+        }
+    },
+
+    // Apply a validated save document or backup snapshot
+    load(data) {
+        this.coins = data.coins;
+        this.stars = data.stars;
+        this.unlocked = data.unlocked;
+        this.completed = data.completed;
+        this.purchased = data.purchased || {};
+        this.daily = { lastDate: null, streak: 0, best: 0, ...data.daily };
+        if (Difficulty.LEVELS[data.difficulty]) this.difficulty = data.difficulty;
+        if (Reveal.MODES[data.revealMode]) this.revealMode = data.revealMode;
+        this.blitzScores = Array.isArray(data.blitzScores) ? data.blitzScores : [];
+        this.revisions = data.revisions || {};
+        this.badges = data.badges || {};
+        this.eventRewards = data.eventRewards || {};
+        this.stats = data.stats || {};
+        this.revealed = data.revealed || {};
+        this.ledger = data.ledger || null;
+        this.integrity = { flagged: false, events: [], ...data.integrity };
+        this.seq = data.seq || 0;
+    },
+
+    // Progress and rewards follow play through the Bus; State's listeners go first so others see the result
+    listen() {
+        Bus.on('level-solved', e => {
+            if (e.mode === 'daily') {
+                // Daily rewards replace the pack rewards; pack progress is untouched
+                this.completeDaily(e.dateKey);
+                return;
+            }
+            if (e.mode !== 'pack') return; // Blitz and practice runs leave progress alone
+            const isFirstCompletion = !(this.completed[e.packId] || {})[e.levelIndex];
+            this.completeLevel(e.packId, e.levelIndex);
+            // The reveal bonus is for a first solve; replays earn the plain reward
+            this.addCoins(isFirstCompletion ? Reveal.rewardFor(e.revealed) : Hints.WIN_REWARD, 'win');
+            e.eventReward = this.claimEventReward(e.packId);
+        });
+
+        Bus.on('level-skipped', e => {
+            if (e.mode !== 'pack') return;
+            this.completeLevel(e.packId, e.levelIndex);
+            e.eventReward = this.claimEventReward(e.packId);
+        });
+    },
+
+    // Cross-check the loaded save against its signature, its ledger and its completed levels
+    auditIntegrity() {
+        const issues = [];
+        if (StorageManager.integrityIssue) issues.push(StorageManager.integrityIssue);
 
-        // Initialize defaults if new packs added
+        const audit = Ledger.audit(this.ledger);
+        if (!audit.valid) issues.push('ledger');
+        if (audit.balance !== this.coins) issues.push('balance');
+
+        // Saves signed before can be held to the star count their completed levels allow. Extra stars aren't
+        // flagged: an alias that drops a level or pack takes its completions away but not the stars they paid
+        if (StorageManager.loadedSchemaVersion >= 2) {
+            this.stars = Math.min(this.stars, this.countEarnedStars());
+        }
+
+        if (issues.length === 0) return;
+
+        // Keep the player's progress; only roll values back to what the history supports
+        this.coins = Math.max(audit.balance, 0);
+        this.stars = Math.min(this.stars, this.countEarnedStars());
+        if (!audit.valid) this.ledger = Ledger.create(this.coins, 'audit-reset');
+
+        this.integrity.flagged = true;
+        this.integrity.events.push({ at: Date.now(), issues });
+        console.warn('Save integrity issues:', issues);
+
+        alert(I18n.t('save.repaired'));
+    },
+
+    // Initialize defaults if new packs added
+    ensurePackDefaults() {
         [...DataLoader.packs, ...DataLoader.events].forEach(pack => {
+            // A fresh save starts on the pack's current revision, so its aliases never re-index it
+            if (this.revisions[pack.id] === undefined) {
+                this.revisions[pack.id] = pack.rev || 1;
+            }
             if (!this.unlocked[pack.id]) {
                 this.unlocked[pack.id] = 0; // Start at level 0 (first level)
             }
@@ -149,11 +755,102 @@ const State = {
                 this.completed[pack.id] = {};
             }
         });
+    },
+
+    // Plain copy of everything that gets persisted
+    snapshot() {
+        return JSON.parse(JSON.stringify({
+            coins: this.coins,
+            stars: this.stars,
+            unlocked: this.unlocked,
+            completed: this.completed,
+            purchased: this.purchased,
+            daily: this.daily,
+            difficulty: this.difficulty,
+            revealMode: this.revealMode,
+            blitzScores: this.blitzScores,
+            revisions: this.revisions,
+            badges: this.badges,
+            eventRewards: this.eventRewards,
+            stats: this.stats,
+            revealed: this.revealed,
+            ledger: this.ledger,
+            integrity: this.integrity,
+            seq: this.seq
+        }));
+    },
 
+    // Overwrite progress with a validated snapshot
+    restore(data) {
+        // The ledger and integrity record stay with this device; the import shows up as one entry
+        const { ledger, integrity, seq, coins } = this;
+        this.load(StorageManager.resolveAliases(data, [...DataLoader.packs, ...DataLoader.events]));
+        this.ledger = ledger;
+        this.integrity = { ...integrity, flagged: integrity.flagged || !!(data.integrity && data.integrity.flagged) };
+        this.seq = seq;
+        Ledger.record(this.ledger, this.coins - coins, 'import');
+
+        this.ensurePackDefaults();
+        this.save();
         this.updateUI();
+    },
+
+    // Combine a validated snapshot with current progress, keeping the best of both
+    merge(data) {
+        // Bring old pack names and level orders in line before combining
+        data = StorageManager.resolveAliases(data, [...DataLoader.packs, ...DataLoader.events]);
+
+        // Coins stay as they are: a balance only comes back with a full replace, or spending and re-importing would refund it
+        if (data.integrity && data.integrity.flagged) this.integrity.flagged = true;
 
-        // Save immediately to migrate any old plain text data to encrypted format
+        Object.entries(data.unlocked).forEach(([packId, level]) => {
+            this.unlocked[packId] = Math.max(this.unlocked[packId] || 0, level);
+        });
+        Object.entries(data.completed).forEach(([packId, levels]) => {
+            this.completed[packId] = { ...this.completed[packId], ...levels };
+        });
+        Object.assign(this.purchased, data.purchased || {});
+        this.badges = { ...data.badges, ...this.badges };
+        this.eventRewards = { ...data.eventRewards, ...this.eventRewards };
+        Object.entries(data.stats || {}).forEach(([packId, levels]) => {
+            this.stats[packId] = { ...levels, ...this.stats[packId] };
+        });
+        Object.entries(data.revealed || {}).forEach(([packId, levels]) => {
+            const seen = this.revealed[packId] = this.revealed[packId] || {};
+            Object.entries(levels).forEach(([i, stage]) => {
+                seen[i] = Math.max(seen[i] || 0, stage);
+            });
+        });
+
+        // Stars can come from levels finished on either device, so recount them too
+        this.stars = Math.max(this.stars, data.stars, this.countEarnedStars());
+
+        if (data.daily) {
+            const best = Math.max(this.daily.best, data.daily.best || 0);
+            if ((data.daily.lastDate || '') > (this.daily.lastDate || '')) {
+                this.daily = { ...this.daily, ...data.daily };
+            }
+            this.daily.best = best;
+        }
+
+        if (data.blitzScores) {
+            const seen = new Set(this.blitzScores.map(run => `${run.date}:${run.score}`));
+            data.blitzScores.forEach(run => {
+                if (!seen.has(`${run.date}:${run.score}`)) this.blitzScores.push(run);
+            });
+            this.blitzScores.sort((a, b) => b.score - a.score);
+            this.blitzScores = this.blitzScores.slice(0, Blitz.LEADERBOARD_SIZE);
+        }
+
+        this.ensurePackDefaults();
         this.save();
+        this.updateUI();
+    },
+
+    countEarnedStars() {
+        return [...DataLoader.packs, ...DataLoader.events]
+            .filter(pack => pack.is_star)
+            .reduce((sum, pack) => sum + Object.keys(this.completed[pack.id] || {}).length, 0);
     },
 
     isLevelUnlocked(packId, levelIndex) {
@@ -163,11 +860,29 @@ const State = {
     isPackUnlocked(packId) {
         const pack = DataLoader.getPack(packId);
         if (!pack) return false;
+        // Scheduled events only open while they run
+        if (pack.type === 'event' && !Events.isLive(pack)) return false;
+        // Bought packs stay open regardless of stars
+        if (this.purchased[packId]) return true;
         // If pack has a star requirement, check if user has enough stars
         if (pack.star !== null && pack.star !== undefined && pack.star > 0) {
             return this.stars >= pack.star;
         }
-        return true;
+        // No star route: a priced pack has to be bought
+        return !(pack.cost > 0);
+    },
+
+    purchasePack(packId) {
+        const pack = DataLoader.getPack(packId);
+        if (!pack || this.isPackUnlocked(packId)) return false;
+        if (pack.type === 'event' && !Events.isLive(pack)) return false;
+
+        if (this.deductCoins(pack.cost, 'purchase')) {
+            this.purchased[packId] = true;
+            this.save();
+            return true;
+        }
+        return false;
     },
 
     completeLevel(packId, levelIndex) {
@@ -178,6 +893,7 @@ const State = {
         const isFirstCompletion = !this.completed[packId][levelIndex];
 
         this.completed[packId][levelIndex] = true;
+        if (this.revealed[packId]) delete this.revealed[packId][levelIndex]; // Only unsolved levels need it
 
         // Unlock next level
         if (this.unlocked[packId] === levelIndex) {
@@ -195,11 +911,92 @@ const State = {
         }
 
         this.save();
+
+        // Tell listeners when this level was the last one left in the pack
+        const pack = DataLoader.getPack(packId);
+        if (isFirstCompletion && pack && Object.keys(this.completed[packId]).length >= pack.lvls) {
+            Bus.emit('pack-completed', { packId });
+        }
+    },
+
+    countCompleted() {
+        return Object.values(this.completed).reduce((sum, levels) => sum + Object.keys(levels).length, 0);
+    },
+
+    setDifficulty(level) {
+        if (!Difficulty.LEVELS[level]) return;
+        this.difficulty = level;
+        this.save();
+    },
+
+    setRevealMode(mode) {
+        if (!Reveal.MODES[mode]) return;
+        this.revealMode = mode;
+        this.save();
+    },
+
+    // Records today's daily solve and returns the coin reward (0 if already claimed)
+    completeDaily(dateKey) {
+        if (this.daily.lastDate === dateKey) return 0;
+
+        const isConsecutive = this.daily.lastDate === Daily.previousKey(dateKey);
+        this.daily.streak = isConsecutive ? this.daily.streak + 1 : 1;
+        this.daily.best = Math.max(this.daily.best, this.daily.streak);
+        this.daily.lastDate = dateKey;
+
+        const reward = Daily.rewardFor(this.daily.streak);
+        this.addCoins(reward, 'daily'); // Also saves
+        return reward;
+    },
+
+    // Pays out an event's completion reward once; returns the reward, or null if there's nothing to give
+    claimEventReward(packId) {
+        const pack = DataLoader.getPack(packId);
+        if (!pack || !pack.reward || this.eventRewards[packId]) return null;
+        if (!Events.isLive(pack) || !Events.isComplete(pack)) return null;
+        // Saves caught tampering still play events, they just don't collect from them
+        if (this.integrity.flagged) return null;
+
+        const { coins, badge } = pack.reward;
+        this.eventRewards[packId] = Clock.now();
+        if (badge) this.awardBadge(badge.id || packId, { name: badge.name, icon: badge.icon || '🏅', event: packId });
+        if (coins > 0) this.addCoins(coins, 'event'); // Also saves
+        else this.save();
+        return pack.reward;
+    },
+
+    awardBadge(id, badge) {
+        if (this.badges[id]) return false;
+        this.badges[id] = { ...badge, at: Clock.now() };
+        this.save();
+        this.updateUI();
+        return true;
+    },
+
+    // How much of an unsolved level's image the player has already seen, so re-entering can't earn the bonus again
+    seenStage(packId, levelIndex) {
+        return (this.revealed[packId] || {})[levelIndex] || 0;
+    },
+
+    markRevealed(packId, levelIndex, stage) {
+        if (this.seenStage(packId, levelIndex) >= stage) return;
+        this.revealed[packId] = { ...this.revealed[packId], [levelIndex]: stage };
+        this.save();
+    },
+
+    // Keeps the best runs only; returns the 1-based rank or 0 if it didn't place
+    recordBlitzRun(run) {
+        this.blitzScores.push(run);
+        this.blitzScores.sort((a, b) => b.score - a.score);
+        this.blitzScores = this.blitzScores.slice(0, Blitz.LEADERBOARD_SIZE);
+        this.save();
+        return this.blitzScores.indexOf(run) + 1;
     },
 
-    deductCoins(amount) {
+    deductCoins(amount, reason) {
         if (this.coins >= amount) {
             this.coins -= amount;
+            Ledger.record(this.ledger, -amount, reason);
             this.save();
             this.updateUI();
             return true;
@@ -207,73 +1004,1459 @@ const State = {
         return false;
     },
 
-    addCoins(amount) {
+    addCoins(amount, reason) {
         this.coins += amount;
+        Ledger.record(this.ledger, amount, reason);
         this.save();
         this.updateUI();
     },
 
     save() {
-        StorageManager.setItem('bollywood_coins', this.coins);
-        StorageManager.setItem('bollywood_stars', this.stars);
-        StorageManager.setItem('bollywood_unlocked', this.unlocked);
-        StorageManager.setItem('bollywood_completed', this.completed);
+        this.seq = StorageManager.writeSave(this.snapshot());
+    },
+
+    updateUI() {
+        const coinEl = document.getElementById('coin-display');
+        if (coinEl) coinEl.textContent = I18n.number(this.coins);
+
+        const starEl = document.getElementById('star-display');
+        if (starEl) starEl.textContent = I18n.number(this.stars);
+
+        const badgeEl = document.getElementById('badge-display');
+        if (badgeEl) badgeEl.textContent = I18n.number(Object.keys(this.badges).length);
+    }
+};
+
+// --- Difficulty ---
+const Difficulty = {
+    // Labels are the difficulty.<key> strings
+    LEVELS: {
+        easy: { decoys: 0, wordBoundaries: true },
+        normal: { decoys: 3, wordBoundaries: true },
+        hard: { decoys: 6, wordBoundaries: false }
+    },
+    ALPHABET: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+
+    current() {
+        return this.LEVELS[State.difficulty] || this.LEVELS.normal;
+    }
+};
+
+// --- Hints, Prices & Rewards ---
+const Hints = {
+    // Coin cost of every paid action in a level
+    PRICES: {
+        letter: 20,
+        'remove-decoys': 30,
+        'first-letters': 40,
+        clue: 15,
+        reveal: 10,
+        skip: 50
+    },
+
+    // Coins for solving a pack level (stars come from is_star packs, see State.completeLevel)
+    WIN_REWARD: 10,
+
+    // Shown in the hint menu in this order; names and descriptions are the hint.<id>.* strings
+    TYPES: [
+        { id: 'letter', icon: '🔤' },
+        { id: 'remove-decoys', icon: '🧹' },
+        { id: 'first-letters', icon: '🔠' },
+        { id: 'clue', icon: '🎬' },
+        { id: 'reveal', icon: '🖼️' }
+    ],
+
+    // Text clues from the level's metadata, easiest last; label is a clue.* string key
+    cluesFor(level) {
+        const clues = [];
+        if (level.year) clues.push({ label: 'clue.released', text: String(level.year) });
+        if (level.director) clues.push({ label: 'clue.director', text: level.director });
+        if (level.cast.length) clues.push({ label: 'clue.starring', text: level.cast[0] });
+        level.clues.forEach(text => clues.push({ label: 'clue.clue', text }));
+        return clues;
+    }
+};
+
+// --- Image Reveal ---
+// Optional mode where the level image starts hidden and clears up over time or for coins.
+// Solving while less of it shows pays a bonus on top of Hints.WIN_REWARD.
+const Reveal = {
+    MODES: { off: {}, blur: {}, pixelate: {}, tiles: {} }, // Labels are the reveal.<mode> strings
+    STAGES: 5, // Steps from hidden (0) to the whole image
+    STAGE_SECONDS: 15, // A free step every this many seconds
+    MAX_BONUS: 20, // Extra coins for solving at stage 0
+    MAX_BLUR: 0.06, // Blur radius at stage 0, as a share of the image width
+    MAX_BLOCK: 0.08, // Pixel block size at stage 0, as a share of the image width
+    TILE_COLUMNS: 4,
+    TILE_ROWS: 6,
+
+    current() {
+        return this.MODES[State.revealMode] ? State.revealMode : 'off';
+    },
+
+    isActive() {
+        return this.current() !== 'off';
+    },
+
+    // Coins for a pack solve with `revealed` (0 to 1) of the image showing; null when the mode was off
+    rewardFor(revealed) {
+        if (revealed === null || revealed === undefined) return Hints.WIN_REWARD;
+        return Hints.WIN_REWARD + Math.round(this.MAX_BONUS * (1 - revealed));
+    },
+
+    // Order the tiles uncover in, fixed per level so a replay looks the same
+    tileOrder(seed) {
+        const order = Array.from({ length: this.TILE_COLUMNS * this.TILE_ROWS }, (_, i) => i);
+        return Random.shuffle(order, Random.seeded(Random.hash(`tiles:${seed}`)));
+    },
+
+    // Paint a loaded image onto a canvas as it looks at `stage`; CSS object-fit sizes the canvas on screen
+    draw(canvas, img, mode, stage, order) {
+        const ctx = canvas.getContext('2d');
+        if (!ctx || !img.naturalWidth) return;
+
+        const w = canvas.width = img.naturalWidth;
+        const h = canvas.height = img.naturalHeight;
+        const hidden = 1 - stage / this.STAGES;
+        const canFilter = 'filter' in ctx; // Browsers without canvas filters get pixels instead of blur
+
+        if (mode === 'blur' && hidden > 0 && canFilter) {
+            const radius = Math.round(w * this.MAX_BLUR * hidden);
+            ctx.filter = `blur(${radius}px)`;
+            // Overdraw the edges so the blur doesn't fade to transparent
+            ctx.drawImage(img, -radius, -radius, w + radius * 2, h + radius * 2);
+            ctx.filter = 'none';
+        } else if ((mode === 'pixelate' || mode === 'blur') && hidden > 0) {
+            const block = Math.max(Math.round(w * this.MAX_BLOCK * hidden), 2);
+            const small = document.createElement('canvas');
+            small.width = Math.ceil(w / block);
+            small.height = Math.ceil(h / block);
+            small.getContext('2d').drawImage(img, 0, 0, small.width, small.height);
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(small, 0, 0, w, h);
+        } else {
+            ctx.drawImage(img, 0, 0, w, h);
+        }
+
+        if (mode === 'tiles' && hidden > 0) {
+            const total = this.TILE_COLUMNS * this.TILE_ROWS;
+            const shown = new Set(order.slice(0, Math.max(Math.round(total * (1 - hidden)), 1)));
+            const tw = w / this.TILE_COLUMNS;
+            const th = h / this.TILE_ROWS;
+            ctx.fillStyle = '#1a1a1a';
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+            for (let i = 0; i < total; i++) {
+                if (shown.has(i)) continue;
+                const x = (i % this.TILE_COLUMNS) * tw;
+                const y = Math.floor(i / this.TILE_COLUMNS) * th;
+                ctx.fillRect(x, y, tw + 1, th + 1);
+                ctx.strokeRect(x, y, tw, th);
+            }
+        }
+    }
+};
+
+// --- Fullscreen Zoom ---
+// Pinch, double-tap, wheel and keyboard zoom with drag to pan, as a CSS transform on the fullscreen image
+const Zoom = {
+    MAX: 5,
+    STEP: 1.25, // Per wheel notch or +/- press
+    DOUBLE_TAP_MS: 300,
+    DOUBLE_TAP_SCALE: 2.5,
+    PAN_STEP: 60, // Pixels per arrow key press
+    el: null,
+    scale: 1,
+    x: 0,
+    y: 0,
+    pointers: new Map(), // pointerId -> { x, y } for the fingers (or mouse) currently down
+    pinch: null, // { distance, scale } when the second finger went down
+    drag: null, // Offset from the pointer to the pan position
+    lastTap: null, // { t, x, y } of the last single tap, for double taps
+
+    attach(el) {
+        if (this.el === el) return; // Game.setupControls runs on every visit
+        this.el = el;
+        el.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        el.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        el.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        el.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+        el.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomBy(e.deltaY < 0 ? this.STEP : 1 / this.STEP, e.clientX, e.clientY);
+        }, { passive: false });
+    },
+
+    reset() {
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        this.pointers.clear();
+        this.pinch = null;
+        this.drag = null;
+        this.lastTap = null;
+        if (this.el) {
+            this.el.style.transform = '';
+            this.el.style.transition = '';
+            this.el.style.cursor = '';
+        }
+    },
+
+    // Screen position of the image centre before panning
+    origin() {
+        const rect = this.el.getBoundingClientRect();
+        return { x: rect.left + rect.width / 2 - this.x, y: rect.top + rect.height / 2 - this.y };
+    },
+
+    // Zoom to `scale`, keeping the point under (clientX, clientY) where it is; defaults to the centre
+    zoomTo(scale, clientX, clientY) {
+        if (!this.el) return;
+        const next = Math.min(Math.max(scale, 1), this.MAX);
+        const origin = this.origin();
+        const fx = clientX === undefined ? 0 : clientX - origin.x;
+        const fy = clientY === undefined ? 0 : clientY - origin.y;
+        this.x = fx - (fx - this.x) * next / this.scale;
+        this.y = fy - (fy - this.y) * next / this.scale;
+        this.scale = next;
+        this.apply();
+    },
+
+    zoomBy(factor, clientX, clientY) {
+        this.zoomTo(this.scale * factor, clientX, clientY);
+    },
+
+    panBy(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+        this.apply();
+    },
+
+    // Keep the image covering its own box so it can't be dragged off screen
+    apply() {
+        const maxX = this.el.offsetWidth * (this.scale - 1) / 2;
+        const maxY = this.el.offsetHeight * (this.scale - 1) / 2;
+        this.x = Math.min(Math.max(this.x, -maxX), maxX);
+        this.y = Math.min(Math.max(this.y, -maxY), maxY);
+
+        const zoomed = this.scale > 1;
+        this.el.style.transform = zoomed ? `translate(${this.x}px, ${this.y}px) scale(${this.scale})` : '';
+        this.el.style.cursor = zoomed ? (this.drag ? 'grabbing' : 'grab') : '';
+    },
+
+    onPointerDown(e) {
+        e.preventDefault();
+        if (this.el.setPointerCapture) this.el.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        this.el.style.transition = 'none'; // Follow the fingers without easing
+
+        if (this.pointers.size === 2) {
+            const [a, b] = [...this.pointers.values()];
+            this.pinch = { distance: Math.hypot(a.x - b.x, a.y - b.y) || 1, scale: this.scale };
+            this.drag = null;
+            this.lastTap = null;
+            return;
+        }
+
+        // A second tap close to the first toggles between fitted and zoomed in
+        const now = Date.now();
+        const tap = this.lastTap;
+        if (tap && now - tap.t < this.DOUBLE_TAP_MS && Math.hypot(e.clientX - tap.x, e.clientY - tap.y) < 30) {
+            this.lastTap = null;
+            this.el.style.transition = '';
+            if (this.scale > 1) this.zoomTo(1);
+            else this.zoomTo(this.DOUBLE_TAP_SCALE, e.clientX, e.clientY);
+            return;
+        }
+        this.lastTap = { t: now, x: e.clientX, y: e.clientY };
+        this.drag = { x: e.clientX - this.x, y: e.clientY - this.y };
+        this.apply();
+    },
+
+    onPointerMove(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.pinch && this.pointers.size >= 2) {
+            const [a, b] = [...this.pointers.values()];
+            const distance = Math.hypot(a.x - b.x, a.y - b.y);
+            this.zoomTo(this.pinch.scale * distance / this.pinch.distance, (a.x + b.x) / 2, (a.y + b.y) / 2);
+        } else if (this.drag && this.scale > 1) {
+            this.x = e.clientX - this.drag.x;
+            this.y = e.clientY - this.drag.y;
+            this.apply();
+        }
+    },
+
+    onPointerUp(e) {
+        this.pointers.delete(e.pointerId);
+        if (this.pointers.size < 2) this.pinch = null;
+
+        // Lifting one finger of a pinch carries on as a drag with the other
+        const [rest] = [...this.pointers.values()];
+        this.drag = rest ? { x: rest.x - this.x, y: rest.y - this.y } : null;
+        if (!rest) this.el.style.transition = '';
+        this.apply();
+    }
+};
+
+// --- Actor Links ---
+const Actors = {
+    // allActors.txt lists every Actors pack answer, pack by pack in level order
+    URL: 'data/allActors.txt',
+    names: null,
+    loading: null,
+
+    load() {
+        if (!this.loading) {
+            this.loading = fetch(this.URL)
+                .then(res => {
+                    if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+                    return res.text();
+                })
+                .then(text => {
+                    this.names = text.split(/\r?\n/).map(name => this.normalize(name)).filter(Boolean);
+                    return this.names;
+                })
+                .catch(e => {
+                    console.error('Failed to load actor list:', e);
+                    this.loading = null; // Try again next time
+                    return [];
+                });
+        }
+        return this.loading;
+    },
+
+    // Case, spacing and punctuation vary between files ("GENELIA DSOUZA" vs "Genelia D'Souza")
+    normalize(name) {
+        return String(name).toUpperCase().replace(/[^A-Z]/g, '');
+    },
+
+    // Where an actor is the answer: { packId, levelIndex }, or null
+    find(name) {
+        if (!this.names) return null;
+        let index = this.names.indexOf(this.normalize(name));
+        if (index === -1) return null;
+
+        const packs = DataLoader.packs
+            .filter(pack => /^Actors \d+$/.test(pack.name))
+            .sort((a, b) => parseInt(a.name.slice(7), 10) - parseInt(b.name.slice(7), 10));
+        for (const pack of packs) {
+            if (index < pack.lvls) return { packId: pack.id, levelIndex: index };
+            index -= pack.lvls;
+        }
+        return null;
+    }
+};
+
+// --- Level Details ---
+const LevelInfo = {
+    // Year, category, cast and trivia shown once a level is solved
+    async render(container, level) {
+        container.innerHTML = '';
+        if (!level) return;
+        if (level.cast.length) await Actors.load();
+        container.innerHTML = ''; // A newer render may have run while the actor list loaded
+
+        const facts = [level.year, level.category].filter(Boolean).join(' • ');
+        if (facts) {
+            const line = document.createElement('p');
+            line.className = 'text-xs text-white/40 uppercase tracking-widest';
+            line.textContent = facts;
+            container.appendChild(line);
+        }
+
+        if (level.cast.length) {
+            const line = document.createElement('p');
+            line.className = 'text-sm text-white/70';
+            line.append(`${I18n.t('level.starring')} `);
+            level.cast.forEach((name, i) => {
+                if (i > 0) line.append(i === level.cast.length - 1 ? I18n.t('list.and') : ', ');
+                line.appendChild(this.actorLink(name));
+            });
+            container.appendChild(line);
+        }
+
+        if (level.trivia) {
+            const line = document.createElement('p');
+            line.className = 'text-sm text-white/50 italic';
+            line.textContent = level.trivia;
+            container.appendChild(line);
+        }
+    },
+
+    // Actors with their own level link to that Actors pack once it is unlocked
+    actorLink(name) {
+        const match = Actors.find(name);
+        if (!match || !State.isPackUnlocked(match.packId)) {
+            const span = document.createElement('span');
+            span.textContent = name;
+            return span;
+        }
+
+        const link = document.createElement('button');
+        link.className = 'text-cinema-gold underline decoration-dotted underline-offset-2 hover:text-yellow-300';
+        link.textContent = name;
+        link.title = I18n.t('level.findActor', { name, pack: match.packId });
+        link.onclick = () => Router.navigate(`index.html?${new URLSearchParams({ id: match.packId, focus: match.levelIndex })}`);
+        return link;
+    }
+};
+
+// --- Answer Matching ---
+const Answers = {
+    NUMBER_WORDS: ['ZERO', 'ONE', 'TWO', 'THREE', 'FOUR', 'FIVE', 'SIX', 'SEVEN', 'EIGHT', 'NINE', 'TEN',
+        'ELEVEN', 'TWELVE', 'THIRTEEN', 'FOURTEEN', 'FIFTEEN', 'SIXTEEN', 'SEVENTEEN', 'EIGHTEEN', 'NINETEEN', 'TWENTY'],
+
+    // Comparable key for a title: accents, case, punctuation and spacing dropped,
+    // "&" read as "and" and number words as digits ("Dhoom Two" -> "DHOOM2")
+    normalize(text) {
+        return String(text)
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toUpperCase()
+            .replace(/&/g, ' AND ')
+            .split(/[^A-Z0-9]+/)
+            .filter(Boolean)
+            .map(word => {
+                const number = this.NUMBER_WORDS.indexOf(word);
+                return number === -1 ? word : String(number);
+            })
+            .join('');
+    },
+
+    // The title plus the level's alternates from units.json
+    accepted(level) {
+        return [level.answer, ...level.alternates].map(text => this.normalize(text)).filter(Boolean);
+    },
+
+    matches(input, level) {
+        const key = this.normalize(input);
+        return key !== '' && this.accepted(level).includes(key);
+    }
+};
+
+// --- Daily Challenge ---
+const Daily = {
+    BASE_REWARD: 20,
+    STREAK_BONUS: 10, // Extra coins per consecutive day
+    MAX_STREAK_BONUS: 7, // Bonus stops growing after a week
+
+    // Calendar day in UTC so every player rolls over at the same moment
+    todayKey(date = new Date(Clock.now())) {
+        return date.toISOString().slice(0, 10);
+    },
+
+    previousKey(dateKey) {
+        const date = new Date(`${dateKey}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() - 1);
+        return this.todayKey(date);
+    },
+
+    // Pick one level out of every pack and event, seeded by the date
+    // Events that haven't started yet are left out so the daily can't spoil them
+    getPuzzle(dateKey = this.todayKey()) {
+        const all = [...DataLoader.packs, ...DataLoader.events.filter(pack => Events.status(pack) !== 'upcoming')];
+        const total = all.reduce((sum, pack) => sum + pack.lvls, 0);
+        if (total === 0) return null;
+
+        const rng = Random.seeded(Random.hash(`daily:${dateKey}`));
+        let pick = Math.floor(rng() * total);
+
+        for (const pack of all) {
+            if (pick < pack.lvls) {
+                return { dateKey, packId: pack.id, levelIndex: pick };
+            }
+            pick -= pack.lvls;
+        }
+        return null;
+    },
+
+    isSolved(dateKey = this.todayKey()) {
+        return State.daily.lastDate === dateKey;
+    },
+
+    // Streak as it stands today: it is lost once a whole day is missed
+    currentStreak(dateKey = this.todayKey()) {
+        const { lastDate, streak } = State.daily;
+        if (lastDate === dateKey || lastDate === this.previousKey(dateKey)) return streak;
+        return 0;
+    },
+
+    rewardFor(streak) {
+        const bonusDays = Math.min(Math.max(streak - 1, 0), this.MAX_STREAK_BONUS);
+        return this.BASE_REWARD + bonusDays * this.STREAK_BONUS;
+    }
+};
+
+// --- Limited-Time Events ---
+// Events may carry a schedule and a completion reward in event_allLevelDetails_v1.json:
+//   "start": "2026-11-01T00:00:00Z", "end": "2026-11-15T00:00:00Z",
+//   "reward": { "coins": 200, "badge": { "id": "srk-superfan", "name": "SRK Superfan", "icon": "👑" } }
+// Without a start or end an event is open for good
+const Events = {
+    ENDING_SOON: 24 * 60 * 60 * 1000, // Countdown turns red inside the last day
+
+    // 'upcoming', 'live' or 'ended'
+    status(pack, now = Clock.now()) {
+        if (pack.start && now < Date.parse(pack.start)) return 'upcoming';
+        if (pack.end && now >= Date.parse(pack.end)) return 'ended';
+        return 'live';
+    },
+
+    isLive(pack) {
+        return this.status(pack) === 'live';
+    },
+
+    isComplete(pack) {
+        return Object.keys(State.completed[pack.id] || {}).length >= pack.lvls;
+    },
+
+    // Milliseconds until the event starts (upcoming) or ends (live); null when there's nothing to count down to
+    timeLeft(pack, now = Clock.now()) {
+        const status = this.status(pack, now);
+        if (status === 'upcoming') return Date.parse(pack.start) - now;
+        if (status === 'live' && pack.end) return Date.parse(pack.end) - now;
+        return null;
+    },
+
+    // "3d 4h", "5h 12m" or "12m"
+    formatDuration(ms) {
+        const minutes = Math.max(Math.ceil(ms / 60000), 1);
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+        if (days > 0) return I18n.t('duration.days', { days, hours });
+        if (hours > 0) return I18n.t('duration.hours', { hours, minutes: minutes % 60 });
+        return I18n.t('duration.minutes', { minutes });
+    },
+
+    // Countdown line for an event card, or '' for events that are always open
+    countdownText(pack) {
+        const status = this.status(pack);
+        const left = this.timeLeft(pack);
+        if (status === 'ended') return I18n.t('event.ended');
+        if (left === null) return '';
+        return I18n.t(status === 'upcoming' ? 'event.startsIn' : 'event.endsIn', { time: this.formatDuration(left) });
+    },
+
+    rewardText(reward) {
+        const parts = [];
+        if (reward.coins > 0) parts.push(`🪙 ${I18n.number(reward.coins)}`);
+        if (reward.badge) parts.push(`${reward.badge.icon || '🏅'} ${reward.badge.name}`);
+        return parts.join(' + ');
+    }
+};
+
+// --- Achievements ---
+// Each achievement listens for one Bus event; test() runs after State has applied it.
+// Names and descriptions are the achievement.<id>.* strings.
+const Achievements = {
+    TOAST_MS: 3500,
+    toasts: [], // Unlocks waiting to be shown, one toast at a time
+
+    LIST: [
+        { id: 'first-solve', icon: '🎬', on: 'level-solved', test: () => State.countCompleted() >= 1 },
+        { id: 'solved-25', icon: '🎞️', on: 'level-solved', test: () => State.countCompleted() >= 25 },
+        { id: 'solved-100', icon: '🏆', on: 'level-solved', test: () => State.countCompleted() >= 100 },
+        { id: 'no-hints', icon: '🧠', on: 'level-solved', test: e => e.hintsUsed === 0 },
+        { id: 'quick-draw', icon: '⚡', on: 'level-solved', test: e => e.seconds < 10 },
+        { id: 'pack-complete', icon: '📼', on: 'pack-completed', test: () => true },
+        { id: 'streak-3', icon: '🔥', on: 'level-solved', test: e => e.mode === 'daily' && State.daily.streak >= 3 },
+        { id: 'streak-7', icon: '🌟', on: 'level-solved', test: e => e.mode === 'daily' && State.daily.streak >= 7 }
+    ],
+
+    init() {
+        new Set(this.LIST.map(achievement => achievement.on)).forEach(type => {
+            Bus.on(type, e => this.check(type, e));
+        });
+    },
+
+    isUnlocked(id) {
+        return !!State.badges[id];
+    },
+
+    // Achievement badges show in the current language; event badges keep the name from the event data
+    badgeName(id, badge) {
+        return this.LIST.some(achievement => achievement.id === id) ? I18n.t(`achievement.${id}.name`) : badge.name;
+    },
+
+    check(type, e) {
+        if (e.mode === 'practice') return; // Replays don't count
+        this.LIST
+            .filter(achievement => achievement.on === type && !this.isUnlocked(achievement.id) && achievement.test(e))
+            .forEach(achievement => this.unlock(achievement));
+    },
+
+    unlock(achievement) {
+        const { id, icon } = achievement;
+        if (State.awardBadge(id, { icon, name: I18n.t(`achievement.${id}.name`) })) this.toast(achievement);
+    },
+
+    toast(achievement) {
+        this.toasts.push(achievement);
+        if (this.toasts.length === 1) this.showNextToast();
+    },
+
+    showNextToast() {
+        const achievement = this.toasts[0];
+        if (!achievement) return;
+
+        const toast = document.createElement('div');
+        toast.className = 'fixed top-20 left-1/2 -translate-x-1/2 z-[300] bg-cinema-dark border border-cinema-gold/30 rounded-full shadow-2xl pl-3 pr-5 py-2 flex items-center gap-3 text-sm animate-slide-up';
+        toast.innerHTML = `
+            <span class="text-2xl">${achievement.icon}</span>
+            <span>
+                <span class="block text-[10px] font-bold text-cinema-gold uppercase tracking-wider">${I18n.t('achievement.unlocked')}</span>
+                <span class="font-bold">${I18n.t(`achievement.${achievement.id}.name`)}</span>
+            </span>
+        `;
+        document.body.appendChild(toast);
+
+        setTimeout(() => {
+            toast.remove();
+            this.toasts.shift();
+            this.showNextToast();
+        }, this.TOAST_MS);
+    }
+};
+
+// --- Level Statistics ---
+// The first run of every pack level, so players (and we) can see which levels are hard
+const Stats = {
+    HARDEST_COUNT: 10,
+
+    init() {
+        Bus.on('level-solved', e => this.record(e, false));
+        Bus.on('level-skipped', e => this.record(e, true));
+    },
+
+    record(e, skipped) {
+        if (e.mode !== 'pack') return; // Daily, Blitz and practice runs aren't first attempts at a pack level
+        const levels = State.stats[e.packId] = State.stats[e.packId] || {};
+        if (levels[e.levelIndex]) return;
+
+        levels[e.levelIndex] = { seconds: Math.round(e.seconds), wrong: e.wrong, hints: e.hintsUsed, skipped, at: Clock.now() };
+        State.save();
+    },
+
+    get(packId, levelIndex) {
+        return (State.stats[packId] || {})[levelIndex] || null;
+    },
+
+    // Rough effort score for ranking: a skip outweighs everything, then hints, wrong tries and time
+    difficulty(stat) {
+        return (stat.skipped ? 10 : 0) + stat.hints * 3 + stat.wrong * 2 + stat.seconds / 30;
+    },
+
+    summarize(stats) {
+        const total = key => stats.reduce((sum, stat) => sum + (stat[key] || 0), 0);
+        const solved = stats.filter(stat => !stat.skipped);
+        return {
+            played: stats.length,
+            solved: solved.length,
+            skipped: stats.length - solved.length,
+            seconds: total('seconds'),
+            hints: total('hints'),
+            wrong: total('wrong'),
+            avgSeconds: solved.length ? Math.round(solved.reduce((sum, stat) => sum + stat.seconds, 0) / solved.length) : 0
+        };
+    },
+
+    packSummary(packId) {
+        return this.summarize(Object.values(State.stats[packId] || {}));
+    },
+
+    totals() {
+        return this.summarize(Object.values(State.stats).flatMap(levels => Object.values(levels)));
+    },
+
+    hardest(count = this.HARDEST_COUNT) {
+        return Object.entries(State.stats)
+            .flatMap(([packId, levels]) => Object.entries(levels).map(([levelIndex, stat]) => ({ packId, levelIndex: Number(levelIndex), stat })))
+            .filter(({ packId }) => DataLoader.getPack(packId))
+            .sort((a, b) => this.difficulty(b.stat) - this.difficulty(a.stat))
+            .slice(0, count);
+    },
+
+    // 42 -> "0:42", 3725 -> "1:02:05"
+    formatTime(seconds) {
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor((seconds % 3600) / 60);
+        const sec = String(seconds % 60).padStart(2, '0');
+        return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+    },
+
+    // "Solved in 0:42 • 2 wrong tries • 1 hint"
+    describe(stat) {
+        const parts = [I18n.t(stat.skipped ? 'stats.skippedAfter' : 'stats.solvedIn', { time: this.formatTime(stat.seconds) })];
+        if (stat.wrong > 0) parts.push(I18n.t('stats.wrong', { count: stat.wrong }));
+        if (stat.hints > 0) parts.push(I18n.t('stats.hints', { count: stat.hints }));
+        return parts.join(' • ');
+    },
+
+    // One line for the album header, or '' before anything has been played
+    packSummaryText(packId) {
+        const summary = this.packSummary(packId);
+        if (summary.played === 0) return '';
+        const parts = [I18n.t('stats.average', { time: this.formatTime(summary.avgSeconds) }), I18n.t('stats.hints', { count: summary.hints })];
+        if (summary.wrong > 0) parts.push(I18n.t('stats.wrong', { count: summary.wrong }));
+        if (summary.skipped > 0) parts.push(I18n.t('stats.skipped', { count: summary.skipped }));
+        return parts.join(' • ');
+    }
+};
+
+// --- Blitz Mode ---
+const Blitz = {
+    DURATION: 90, // Seconds on the clock at the start of a run
+    TIME_BASE: 5, // Seconds added per solve
+    TIME_PER_LETTER: 0.5,
+    POINTS_PER_LETTER: 10,
+    HINT_PENALTY: 0.5, // Multiplier on time and points once a hint is used
+    SKIP_PENALTY: 10, // Seconds lost per skip
+    LEADERBOARD_SIZE: 10,
+
+    timeLeft: 0,
+    score: 0,
+    solved: 0,
+    running: false,
+    timerId: null,
+    played: new Set(), // "packId:levelIndex" already used this run
+    failedPacks: new Set(), // packIds whose level data couldn't be loaded this run
+
+    start() {
+        this.timeLeft = this.DURATION;
+        this.score = 0;
+        this.solved = 0;
+        this.played = new Set();
+        this.failedPacks = new Set();
+        this.running = true;
+
+        document.getElementById('blitz-hud').classList.remove('hidden');
+        this.updateHUD();
+
+        clearInterval(this.timerId);
+        this.timerId = setInterval(() => this.tick(), 1000);
+
+        this.next();
+    },
+
+    tick() {
+        this.timeLeft--;
+        this.updateHUD();
+        if (this.timeLeft <= 0) this.finish();
+    },
+
+    // Random level the player has reached in any unlocked pack, no repeats within a run
+    pickLevel() {
+        const candidates = [];
+        [...DataLoader.packs, ...DataLoader.events]
+            .filter(pack => State.isPackUnlocked(pack.id) && !this.failedPacks.has(pack.id))
+            .forEach(pack => {
+                for (let i = 0; i < pack.lvls && State.isLevelUnlocked(pack.id, i); i++) {
+                    if (!this.played.has(`${pack.id}:${i}`)) candidates.push({ packId: pack.id, levelIndex: i });
+                }
+            });
+
+        if (candidates.length === 0) return null;
+        return candidates[Math.floor(Math.random() * candidates.length)];
+    },
+
+    // A level that fails to load is passed over, and its whole pack if the pack's data didn't load;
+    // the run only ends early when nothing is left to pick
+    async next() {
+        while (this.running) {
+            const level = this.pickLevel();
+            if (!level) {
+                this.finish();
+                return;
+            }
+
+            this.played.add(`${level.packId}:${level.levelIndex}`);
+            if (await Game.loadLevel(level.packId, level.levelIndex)) return;
+            if (!DataLoader.cache[level.packId]) this.failedPacks.add(level.packId);
+        }
+    },
+
+    onSolved(length, hintsUsed) {
+        if (!this.running) return;
+
+        const factor = hintsUsed > 0 ? this.HINT_PENALTY : 1;
+        this.score += Math.round(length * this.POINTS_PER_LETTER * factor);
+        this.timeLeft += Math.round((this.TIME_BASE + length * this.TIME_PER_LETTER) * factor);
+        this.solved++;
+        this.updateHUD();
+        this.next();
+    },
+
+    skip() {
+        if (!this.running) return;
+
+        this.timeLeft = Math.max(this.timeLeft - this.SKIP_PENALTY, 0);
+        this.updateHUD();
+        if (this.timeLeft <= 0) {
+            this.finish();
+        } else {
+            this.next();
+        }
+    },
+
+    finish() {
+        if (!this.running) return;
+        this.running = false;
+        clearInterval(this.timerId);
+
+        const rank = State.recordBlitzRun({ score: this.score, solved: this.solved, date: Date.now() });
+
+        const modal = document.getElementById('completion-modal');
+        const content = document.getElementById('modal-content');
+        document.getElementById('modal-title').textContent = I18n.t('blitz.timesUp');
+        document.getElementById('modal-subtitle').textContent = rank
+            ? I18n.t('blitz.solvedRank', { count: this.solved, rank })
+            : I18n.t('blitz.solved', { count: this.solved });
+        document.getElementById('modal-answer').textContent = I18n.number(this.score);
+        document.getElementById('modal-details').innerHTML = '';
+        document.getElementById('modal-reward').classList.add('hidden');
+        A11y.announce(I18n.t('a11y.timesUp', { score: this.score }));
+
+        modal.style.opacity = '1';
+        modal.style.pointerEvents = 'auto';
+        content.classList.remove('scale-95');
+        content.classList.add('scale-100');
+        A11y.openDialog(modal, document.getElementById('modal-continue'));
+
+        document.getElementById('modal-continue').onclick = () => Router.navigate('index.html');
+    },
+
+    updateHUD() {
+        const timeEl = document.getElementById('blitz-time');
+        if (timeEl) timeEl.textContent = I18n.number(Math.max(this.timeLeft, 0));
+
+        const scoreEl = document.getElementById('blitz-score');
+        if (scoreEl) scoreEl.textContent = I18n.number(this.score);
+    }
+};
+
+// --- Progress Backup ---
+const Backup = {
+    FORMAT: 'bollywood-progress',
+    VERSION: 2, // 2 checksums the whole wrapper instead of only its data
+
+    // Versioned, checksummed wrapper around State.snapshot()
+    create() {
+        const backup = {
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: Date.now(),
+            data: State.snapshot()
+        };
+        backup.sig = this.checksum(backup);
+        return backup;
+    },
+
+    // Integrity checksum, not tamper protection: the key ships with the game, so it only catches damaged or
+    // carelessly edited codes. No device salt, since a backup has to verify on another device
+    checksum(backup) {
+        const { sig, ...unsigned } = backup;
+        return CryptoJS.HmacSHA256(JSON.stringify(unsigned), StorageManager.SECRET_KEY).toString();
+    },
+
+    // Base64 code that can be copied between devices
+    toCode(backup = this.create()) {
+        const bytes = new TextEncoder().encode(JSON.stringify(backup));
+        let binary = '';
+        bytes.forEach(b => binary += String.fromCharCode(b));
+        return btoa(binary);
+    },
+
+    download() {
+        const backup = this.create();
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `bollywood-progress-${new Date(backup.exportedAt).toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    },
+
+    // Accepts file contents (JSON) or a copied code (base64); throws with a readable message
+    parse(text) {
+        const trimmed = (text || '').trim();
+        if (!trimmed) throw new Error(I18n.t('backup.empty'));
+
+        let backup;
+        try {
+            if (trimmed.startsWith('{')) {
+                backup = JSON.parse(trimmed);
+            } else {
+                const binary = atob(trimmed.replace(/\s+/g, ''));
+                const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+                backup = JSON.parse(new TextDecoder().decode(bytes));
+            }
+        } catch (e) {
+            throw new Error(I18n.t('backup.unreadable'));
+        }
+
+        this.validate(backup);
+        return backup;
+    },
+
+    validate(backup) {
+        if (!backup || backup.format !== this.FORMAT) {
+            throw new Error(I18n.t('backup.wrongFormat'));
+        }
+        if (typeof backup.version !== 'number' || backup.version > this.VERSION) {
+            throw new Error(I18n.t('backup.tooNew'));
+        }
+        if (!backup.data) {
+            throw new Error(I18n.t('backup.damaged'));
+        }
+        // Version 1 checksummed only the data; it still has to pass every check below
+        const intact = backup.version < this.VERSION
+            ? backup.checksum === CryptoJS.SHA256(JSON.stringify(backup.data)).toString()
+            : typeof backup.sig === 'string' && backup.sig === this.checksum(backup);
+        if (!intact) {
+            throw new Error(I18n.t('backup.damaged'));
+        }
+
+        const error = StorageManager.validateSave(backup.data);
+        if (error) {
+            throw new Error(I18n.t('backup.invalid', { error }));
+        }
+
+        // Coins only come in with a ledger that adds up to them; backups from before the ledger are taken like old saves
+        if (backup.data.ledger) {
+            const audit = Ledger.audit(backup.data.ledger);
+            if (!audit.valid || audit.balance !== backup.data.coins) {
+                throw new Error(I18n.t('backup.damaged'));
+            }
+        }
+    },
+
+    // Short description shown before the player confirms an import
+    summarize(backup) {
+        const { data } = backup;
+        const levels = Object.values(data.completed).reduce((sum, levels) => sum + Object.keys(levels).length, 0);
+        return I18n.t('backup.summary', {
+            date: new Date(backup.exportedAt).toLocaleString(I18n.locale),
+            coins: data.coins,
+            stars: data.stars,
+            count: levels
+        });
+    }
+};
+
+// --- Offline Packs ---
+// Pack files live in the cache the service worker (sw.js) reads from
+const Offline = {
+    CACHE: 'bollywood-packs-v1',
+    INDEX_KEY: 'bollywood_offline', // { packId: { bytes, at } } for packs fully downloaded
+    CONCURRENCY: 4,
+
+    index: {},
+    cachedUrls: null, // Set of absolute URLs currently in the cache
+    downloading: {}, // { packId: { done, total } }
+
+    isSupported() {
+        return 'caches' in window && 'serviceWorker' in navigator;
+    },
+
+    packFiles(pack) {
+        const base = DataLoader.packPath(pack);
+        const files = [`${base}/units.json`];
+        for (let i = 1; i <= pack.lvls; i++) files.push(`${base}/img/${i}.webp`);
+        return files.map(file => new URL(file, window.location.href).href);
+    },
+
+    // Reload the index and drop packs whose files were evicted from the cache
+    async refresh() {
+        this.index = StorageManager.getItem(this.INDEX_KEY) || {};
+        if (!this.isSupported()) return;
+
+        const cache = await caches.open(this.CACHE);
+        this.cachedUrls = new Set((await cache.keys()).map(req => req.url));
+
+        Object.keys(this.index).forEach(packId => {
+            const pack = DataLoader.getPack(packId);
+            if (!pack || !this.packFiles(pack).every(url => this.cachedUrls.has(url))) {
+                delete this.index[packId];
+            }
+        });
+        StorageManager.setItem(this.INDEX_KEY, this.index);
+    },
+
+    isAvailable(packId) {
+        return !!this.index[packId];
+    },
+
+    async downloadPack(pack, onProgress) {
+        const files = this.packFiles(pack);
+        const cache = await caches.open(this.CACHE);
+        const progress = { done: 0, total: files.length };
+        this.downloading[pack.id] = progress;
+        let bytes = 0;
+
+        try {
+            const queue = [...files];
+            const worker = async () => {
+                while (queue.length) {
+                    const url = queue.shift();
+                    const res = await fetch(url, { cache: 'reload' });
+                    if (!res.ok) throw new Error(`HTTP error! status: ${res.status} for ${url}`);
+                    bytes += (await res.clone().blob()).size;
+                    await cache.put(url, res);
+                    progress.done++;
+                    if (onProgress) onProgress(progress);
+                }
+            };
+            await Promise.all(Array.from({ length: this.CONCURRENCY }, worker));
+
+            this.index[pack.id] = { bytes, at: Date.now() };
+            StorageManager.setItem(this.INDEX_KEY, this.index);
+        } finally {
+            delete this.downloading[pack.id];
+        }
+    },
+
+    async removePack(pack) {
+        const cache = await caches.open(this.CACHE);
+        await Promise.all(this.packFiles(pack).map(url => cache.delete(url)));
+        delete this.index[pack.id];
+        StorageManager.setItem(this.INDEX_KEY, this.index);
+    },
+
+    totalBytes() {
+        return Object.values(this.index).reduce((sum, entry) => sum + entry.bytes, 0);
+    },
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${I18n.number(bytes)} B`;
+        if (bytes < 1024 * 1024) return `${I18n.number(bytes / 1024, { maximumFractionDigits: 0 })} KB`;
+        return `${I18n.number(bytes / (1024 * 1024), { minimumFractionDigits: 1, maximumFractionDigits: 1 })} MB`;
+    }
+};
+
+// --- Installable App ---
+const Pwa = {
+    DISMISS_KEY: 'bollywood_install_dismissed',
+    deferredPrompt: null, // beforeinstallprompt event, kept until the player taps Install
+    reloading: false,
+
+    init() {
+        this.registerServiceWorker();
+
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault(); // We show our own banner instead of the mini-infobar
+            this.deferredPrompt = e;
+            if (!StorageManager.getItem(this.DISMISS_KEY)) this.showInstallBanner();
+        });
+
+        window.addEventListener('appinstalled', () => {
+            this.deferredPrompt = null;
+            this.hideInstallBanner();
+        });
+
+        const installBtn = document.getElementById('install-app');
+        if (installBtn) {
+            installBtn.onclick = async () => {
+                if (!this.deferredPrompt) return;
+                this.deferredPrompt.prompt();
+                await this.deferredPrompt.userChoice;
+                this.deferredPrompt = null;
+                this.hideInstallBanner();
+            };
+        }
+
+        const closeBtn = document.getElementById('close-banner');
+        if (closeBtn) {
+            closeBtn.onclick = () => {
+                StorageManager.setItem(this.DISMISS_KEY, true);
+                this.hideInstallBanner();
+            };
+        }
+    },
+
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        // The worker reports deploys that changed the app files or the level data
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'UPDATE_AVAILABLE') {
+                this.showUpdateToast(() => window.location.reload());
+            }
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloading) window.location.reload();
+        });
+
+        navigator.serviceWorker.register('sw.js').then((registration) => {
+            const offerUpdate = (worker) => this.showUpdateToast(() => {
+                this.reloading = true;
+                worker.postMessage({ type: 'SKIP_WAITING' });
+            });
+
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                offerUpdate(registration.waiting);
+            }
+
+            registration.onupdatefound = () => {
+                const worker = registration.installing;
+                worker.onstatechange = () => {
+                    // Only an update has a controller already; a first install needs no prompt
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        offerUpdate(worker);
+                    }
+                };
+            };
+        }).catch(e => console.error('Service worker registration failed:', e));
+    },
+
+    showInstallBanner() {
+        const banner = document.getElementById('mobile-banner');
+        const app = document.getElementById('app');
+        if (!banner) return;
+
+        banner.classList.remove('hidden');
+        banner.style.display = '';
+        if (app) app.classList.add('pt-14', 'md:pt-0'); // Make room for the fixed banner
+    },
+
+    hideInstallBanner() {
+        const banner = document.getElementById('mobile-banner');
+        const app = document.getElementById('app');
+        if (!banner) return;
+
+        banner.style.display = 'none'; // Completely remove from flow/view
+        if (app) {
+            app.classList.remove('pt-14'); // Remove top padding
+        }
+    },
+
+    showUpdateToast(onReload) {
+        if (document.getElementById('update-toast')) return;
+
+        const toast = document.createElement('div');
+        toast.id = 'update-toast';
+        toast.className = 'fixed bottom-4 left-1/2 -translate-x-1/2 z-[300] bg-cinema-dark border border-cinema-gold/30 rounded-full shadow-2xl pl-5 pr-2 py-2 flex items-center gap-3 text-sm animate-slide-up';
+        toast.innerHTML = `
+            <span>✨ ${I18n.t('pwa.updateAvailable')}</span>
+            <button class="bg-cinema-gold text-cinema-black font-bold px-4 py-1.5 rounded-full active:scale-95 transition-transform">${I18n.t('pwa.reload')}</button>
+            <button class="text-white/40 hover:text-white px-2" aria-label="${I18n.t('common.dismiss')}">✕</button>
+        `;
+        const [reloadBtn, dismissBtn] = toast.querySelectorAll('button');
+        reloadBtn.onclick = onReload;
+        dismissBtn.onclick = () => toast.remove();
+        document.body.appendChild(toast);
+    }
+};
+
+// --- Accessibility ---
+// Screen reader announcements and focus handling for the modal dialogs
+const A11y = {
+    returnFocus: {}, // { dialogId: element } focused before the dialog opened
+    announceTimer: null,
+
+    // Read text out through the polite live region; clearing it first lets a repeat be announced again
+    announce(text) {
+        const region = document.getElementById('a11y-status');
+        if (!region) return;
+        region.textContent = '';
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => { region.textContent = text; }, 50);
+    },
+
+    // Closed dialogs stay in the page (they fade), so they're inert until opened
+    openDialog(dialog, focusEl) {
+        if (!(dialog.id in this.returnFocus)) this.returnFocus[dialog.id] = document.activeElement;
+        dialog.removeAttribute('inert');
+        (focusEl || dialog).focus();
+    },
+
+    closeDialog(dialog) {
+        dialog.setAttribute('inert', '');
+        const previous = this.returnFocus[dialog.id];
+        delete this.returnFocus[dialog.id];
+        // Only hand focus back if it was inside the dialog and the old spot still exists
+        if (previous && previous.focus && document.contains(previous) && (document.activeElement === document.body || dialog.contains(document.activeElement))) {
+            previous.focus();
+        }
+    },
+
+    // Keep Tab cycling inside an open dialog
+    trapFocus(e, dialog) {
+        const focusable = [...dialog.querySelectorAll('button, [href], input, [tabindex]:not([tabindex="-1"])')]
+            .filter(el => !el.disabled && !el.closest('.hidden'));
+        if (focusable.length === 0) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (!dialog.contains(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
     },
 
-    updateUI() {
-        const coinEl = document.getElementById('coin-display');
-        if (coinEl) coinEl.textContent = this.coins;
-
-        const starEl = document.getElementById('star-display');
-        if (starEl) starEl.textContent = this.stars;
+    // Enter on some other button in a dialog should press that button, not the dialog's default
+    isOtherButtonFocused(dialog, defaultBtn) {
+        const active = document.activeElement;
+        return !!active && active.tagName === 'BUTTON' && active !== defaultBtn && dialog.contains(active);
     }
 };
 
 // --- Input Management ---
 const Input = {
+    BACK_KEYS: ['GoBack', 'BrowserBack', 'XF86Back'], // TV remotes' Back button
+
     init() {
         window.addEventListener('keydown', (e) => {
+            if (this.BACK_KEYS.includes(e.key)) {
+                e.preventDefault();
+                Controller.press('Escape');
+                return;
+            }
+
             // Global Dialog Handling
             const modal = document.getElementById('completion-modal');
             const answerDialog = document.getElementById('answer-dialog');
 
             if (modal && modal.style.opacity === '1') {
-                if (e.key === 'Enter' || e.key === 'Escape') {
+                const continueBtn = document.getElementById('modal-continue');
+                if (e.key === 'Tab') {
+                    A11y.trapFocus(e, modal);
+                } else if (e.key === 'Enter' && A11y.isOtherButtonFocused(modal, continueBtn)) {
+                    // Let an actor link take the key
+                } else if (e.key === 'Enter' || e.key === 'Escape') {
                     e.preventDefault();
-                    document.getElementById('modal-continue').click();
+                    continueBtn.click();
                 }
                 return; // Block other input when modal is open
             }
 
+            const backupDialog = document.getElementById('backup-dialog');
+            if (backupDialog && backupDialog.style.opacity === '1') {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    Home.closeBackupDialog();
+                }
+                return; // Let typing reach the code box
+            }
+
             if (answerDialog && answerDialog.style.opacity === '1') {
-                if (e.key === 'Enter' || e.key === 'Escape') {
+                const closeBtn = document.getElementById('close-answer-dialog');
+                if (e.key === 'Tab') {
+                    A11y.trapFocus(e, answerDialog);
+                } else if (e.key === 'Enter' && A11y.isOtherButtonFocused(answerDialog, closeBtn)) {
+                    // Practice Replay and actor links handle Enter themselves
+                } else if (e.key === 'Enter' || e.key === 'Escape') {
                     e.preventDefault();
-                    document.getElementById('close-answer-dialog').click();
+                    closeBtn.click();
                 }
                 return;
             }
 
-            // Route to current view based on DOM elements
-            if (document.getElementById('packs-list')) {
+            if (Router.current === 'home') {
                 Home.handleInput(e);
-            } else if (document.getElementById('levels-grid')) {
+            } else if (Router.current === 'album') {
                 Album.handleInput(e);
-            } else if (document.getElementById('word-display')) {
+            } else if (Router.current === 'game') {
                 Game.handleInput(e);
+            } else if (Router.current === 'badges') {
+                BadgeGallery.handleInput(e);
+            } else if (Router.current === 'stats') {
+                StatsPage.handleInput(e);
             }
         });
     }
 };
 
+// --- Gamepad & TV Remote ---
+// Controllers are polled and replayed as the keys Input already handles, so the views need no gamepad code.
+// On the game board and in dialogs, where the arrows are shortcuts, the D-pad moves focus between buttons.
+const Controller = {
+    // Standard mapping: A select, B backspace, X hint, Y skip, View/Menu leave, then the D-pad
+    BUTTONS: { 0: 'select', 1: 'back', 2: 'hint', 3: 'skip', 8: 'exit', 9: 'exit', 12: 'up', 13: 'down', 14: 'left', 15: 'right' },
+    DIRECTIONS: { up: [0, -1], down: [0, 1], left: [-1, 0], right: [1, 0] },
+    BOARD: '#keyboard button, #word-display button',
+    DEADZONE: 0.5, // Stick travel that counts as a D-pad press
+    REPEAT_DELAY: 400, // ms a held direction waits before repeating
+    REPEAT_RATE: 120,
+    held: {}, // action -> time it fires again while held
+    polling: false,
+
+    init() {
+        window.addEventListener('gamepadconnected', () => this.start());
+        // The cursor is only forced on while playing with a controller
+        window.addEventListener('pointerdown', () => document.body.classList.remove('gamepad'));
+    },
+
+    start() {
+        if (this.polling) return;
+        this.polling = true;
+        requestAnimationFrame(time => this.poll(time));
+    },
+
+    poll(time) {
+        const pads = [...(navigator.getGamepads ? navigator.getGamepads() : [])].filter(Boolean);
+        if (pads.length === 0) {
+            this.polling = false;
+            this.held = {};
+            return;
+        }
+
+        const pressed = new Set();
+        pads.forEach(pad => {
+            pad.buttons.forEach((button, i) => {
+                if (button.pressed && this.BUTTONS[i]) pressed.add(this.BUTTONS[i]);
+            });
+            const [x = 0, y = 0] = pad.axes;
+            if (x < -this.DEADZONE) pressed.add('left');
+            if (x > this.DEADZONE) pressed.add('right');
+            if (y < -this.DEADZONE) pressed.add('up');
+            if (y > this.DEADZONE) pressed.add('down');
+        });
+
+        Object.keys(this.held).forEach(action => {
+            if (!pressed.has(action)) delete this.held[action];
+        });
+        pressed.forEach(action => {
+            if (action in this.held && time < this.held[action]) return;
+            // Only directions repeat while held
+            const repeat = this.DIRECTIONS[action] ? (action in this.held ? this.REPEAT_RATE : this.REPEAT_DELAY) : Infinity;
+            this.held[action] = time + repeat;
+            this.act(action);
+        });
+
+        requestAnimationFrame(next => this.poll(next));
+    },
+
+    act(action) {
+        document.body.classList.add('gamepad');
+        const scope = this.focusScope();
+        const onBoard = scope === this.BOARD;
+
+        if (this.DIRECTIONS[action]) {
+            // On the board the arrow keys skip, reset and hint, so a direction only ever moves focus there
+            if (onBoard) {
+                this.moveFocus(scope, this.DIRECTIONS[action]);
+            } else if (!scope || !this.moveFocus(scope, this.DIRECTIONS[action])) {
+                this.press(`Arrow${action[0].toUpperCase()}${action.slice(1)}`);
+            }
+        } else if (action === 'select') {
+            this.press('Enter');
+        } else if (action === 'back') {
+            this.press(onBoard ? 'Backspace' : 'Escape');
+        } else if (action === 'exit') {
+            this.press('Escape');
+        } else if (onBoard) {
+            this.press(action === 'hint' ? 'ArrowUp' : 'ArrowRight');
+        }
+    },
+
+    // Buttons the D-pad moves between, or null to send plain arrow keys
+    focusScope() {
+        const isOpen = id => {
+            const el = document.getElementById(id);
+            return el && el.style.opacity === '1';
+        };
+        if (isOpen('completion-modal')) return '#completion-modal button';
+        if (isOpen('answer-dialog')) return '#answer-dialog button, #answer-dialog a';
+        if (Router.current !== 'game') return null;
+        if (Game.isHintMenuOpen()) return '#hint-options button';
+        if (Game.pickingSlot || Game.isFullScreenOpen()) return null;
+        return this.BOARD;
+    },
+
+    // Nearest button in the direction, favouring ones in the same row or column
+    moveFocus(selector, [dx, dy]) {
+        const buttons = [...document.querySelectorAll(selector)].filter(el => !el.disabled && el.getClientRects().length > 0);
+        if (buttons.length === 0) return false;
+
+        const current = document.activeElement;
+        if (!buttons.includes(current)) {
+            (buttons.find(el => el.classList.contains('letter-tile')) || buttons[0]).focus();
+            return true;
+        }
+
+        const center = el => {
+            const rect = el.getBoundingClientRect();
+            return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+        };
+        const from = center(current);
+        let best = null;
+        let bestScore = Infinity;
+        buttons.forEach(el => {
+            const to = center(el);
+            const along = (to.x - from.x) * dx + (to.y - from.y) * dy;
+            if (el === current || along <= 1) return;
+            const score = along + 2 * Math.abs((to.x - from.x) * dy + (to.y - from.y) * dx);
+            if (score < bestScore) {
+                best = el;
+                bestScore = score;
+            }
+        });
+        if (best) best.focus();
+        return true;
+    },
+
+    press(key) {
+        const target = document.activeElement || document.body;
+        const event = new KeyboardEvent('keydown', { key, code: key, bubbles: true, cancelable: true });
+        target.dispatchEvent(event);
+        // Unlike a real Enter, a dispatched one doesn't press the focused button by itself
+        if (key === 'Enter' && !event.defaultPrevented && target.tagName === 'BUTTON') target.click();
+    }
+};
+
 // --- Navigation & View Management ---
-// --- Navigation & View Management ---
-// Router removed in favor of multi-page navigation
+const Router = {
+    current: null, // 'home', 'album', 'game', 'badges' or 'stats'; page titles are the title.<view> strings
+
+    init() {
+        window.addEventListener('popstate', () => this.resolve());
+        this.resolve();
+    },
+
+    // The query string picks the view, so old levels.html / game.html links map straight across
+    route(params) {
+        if (params.has('level') || params.has('daily') || params.has('blitz')) return 'game';
+        if (params.has('id')) return 'album';
+        if (params.has('badges')) return 'badges';
+        if (params.has('stats')) return 'stats';
+        return 'home';
+    },
+
+    navigate(url, { replace = false } = {}) {
+        history[replace ? 'replaceState' : 'pushState'](null, '', url);
+        this.resolve();
+    },
+
+    resolve() {
+        const views = { home: Home, album: Album, game: Game, badges: BadgeGallery, stats: StatsPage };
+        const view = this.route(new URLSearchParams(window.location.search));
+
+        if (this.current && views[this.current].leave) views[this.current].leave();
+        this.current = view;
+
+        document.querySelectorAll('[data-view]').forEach(section => {
+            section.classList.toggle('hidden', section.dataset.view !== view);
+        });
+        document.title = I18n.t(`title.${view}`);
+        window.scrollTo(0, 0);
+
+        views[view].init();
+    }
+};
 
 // --- Home View Logic ---
 const Home = {
     selectedIndex: 0,
     items: [],
-    currentTab: 'packs', // 'packs' or 'events'
+    currentTab: 'packs', // 'packs', 'events' or 'daily'
+    countdownTimer: null,
 
     init() {
         this.selectedIndex = 0;
@@ -281,68 +2464,329 @@ const Home = {
         this.render();
     },
 
+    leave() {
+        this.stopCountdowns();
+    },
+
     render() {
         const list = document.getElementById('packs-list');
         list.innerHTML = ''; // Clear previous items
         this.items = [];
+        this.stopCountdowns();
 
         // Setup Tabs
         this.setupTabs();
+        this.setupDifficulty();
+        this.setupReveal();
+        this.setupLanguage();
 
         if (DataLoader.error) {
             list.innerHTML = `
                 <div class="col-span-full text-center text-red-400 p-8">
-                    <p class="text-xl font-bold mb-2">Failed to load game data</p>
+                    <p class="text-xl font-bold mb-2">${I18n.t('home.loadFailed')}</p>
                     <p class="text-sm opacity-75">${DataLoader.error}</p>
-                    <p class="text-xs mt-4 opacity-50">Make sure you are running this on a local server (e.g., Live Server).</p>
+                    <p class="text-xs mt-4 opacity-50">${I18n.t('home.loadFailedHelp')}</p>
                 </div>
             `;
             return;
         }
 
         // Render Content based on Tab
-        const data = this.currentTab === 'packs' ? DataLoader.packs : DataLoader.events;
-        this.renderItems(data);
+        if (this.currentTab === 'daily') {
+            this.renderDaily();
+        } else {
+            // Ended events drop out of the main list into the archive below it
+            const data = this.currentTab === 'packs'
+                ? DataLoader.packs
+                : DataLoader.events.filter(pack => Events.status(pack) !== 'ended');
+            this.renderItems(data);
+            if (this.currentTab === 'events') {
+                this.renderEventExtras(data);
+                this.startCountdowns();
+            }
+
+            // Cache lookups are async; fill in the offline badges once they're known
+            const cards = this.items.slice(0, data.length);
+            Offline.refresh().then(() => {
+                data.forEach((pack, idx) => this.updateOfflineStatus(pack, cards[idx].parentElement));
+                this.renderStorageUsage();
+            }).catch(e => console.warn('Offline packs unavailable:', e)); // Storage blocked: the badges stay off
+        }
+
+        this.renderBlitz();
+        this.setupBackup();
 
         // Initial focus
         this.updateFocus();
     },
 
     setupTabs() {
-        const tabPacks = document.getElementById('tab-packs');
-        const tabEvents = document.getElementById('tab-events');
+        const tabs = {
+            packs: document.getElementById('tab-packs'),
+            events: document.getElementById('tab-events'),
+            daily: document.getElementById('tab-daily')
+        };
 
-        if (!tabPacks || !tabEvents) return;
+        if (!tabs.packs || !tabs.events) return;
 
         // Reset Styles
         const activeClass = ['text-cinema-black', 'bg-cinema-gold', 'shadow-lg', 'scale-105'];
         const inactiveClass = ['text-white/60', 'hover:text-white', 'bg-white/5', 'hover:bg-white/10'];
 
-        if (this.currentTab === 'packs') {
-            tabPacks.classList.add(...activeClass);
-            tabPacks.classList.remove(...inactiveClass);
-            tabEvents.classList.add(...inactiveClass);
-            tabEvents.classList.remove(...activeClass);
-        } else {
-            tabEvents.classList.add(...activeClass);
-            tabEvents.classList.remove(...inactiveClass);
-            tabPacks.classList.add(...inactiveClass);
-            tabPacks.classList.remove(...activeClass);
-        }
+        Object.entries(tabs).forEach(([name, tab]) => {
+            if (!tab) return;
+
+            if (this.currentTab === name) {
+                tab.classList.add(...activeClass);
+                tab.classList.remove(...inactiveClass);
+            } else {
+                tab.classList.add(...inactiveClass);
+                tab.classList.remove(...activeClass);
+            }
+
+            tab.onclick = () => {
+                if (this.currentTab !== name) {
+                    this.currentTab = name;
+                    this.selectedIndex = 0;
+                    this.render();
+                }
+            };
+        });
+    },
+
+    setupDifficulty() {
+        const picker = document.getElementById('difficulty-picker');
+        if (!picker) return;
+
+        picker.innerHTML = `<span class="text-white/40 uppercase tracking-wider mr-1">${I18n.t('home.difficulty')}</span>`;
+
+        Object.keys(Difficulty.LEVELS).forEach(level => {
+            const btn = document.createElement('button');
+            const isActive = State.difficulty === level;
+            btn.className = `px-3 py-1 rounded-full font-bold transition-all ${isActive ? 'bg-white/20 text-white' : 'text-white/40 hover:text-white bg-white/5'}`;
+            btn.textContent = I18n.t(`difficulty.${level}`);
+            btn.onclick = () => {
+                State.setDifficulty(level);
+                this.setupDifficulty();
+            };
+            picker.appendChild(btn);
+        });
+    },
+
+    setupReveal() {
+        const picker = document.getElementById('reveal-picker');
+        if (!picker) return;
+
+        picker.innerHTML = `<span class="text-white/40 uppercase tracking-wider mr-1">${I18n.t('home.image')}</span>`;
+
+        Object.keys(Reveal.MODES).forEach(mode => {
+            const btn = document.createElement('button');
+            const isActive = Reveal.current() === mode;
+            btn.className = `px-3 py-1 rounded-full font-bold transition-all ${isActive ? 'bg-white/20 text-white' : 'text-white/40 hover:text-white bg-white/5'}`;
+            btn.textContent = I18n.t(`reveal.${mode}`);
+            btn.title = mode === 'off' ? I18n.t('reveal.offTitle') : I18n.t('reveal.onTitle', { coins: Reveal.MAX_BONUS });
+            btn.onclick = () => {
+                State.setRevealMode(mode);
+                this.setupReveal();
+            };
+            picker.appendChild(btn);
+        });
+    },
 
-        tabPacks.onclick = () => {
-            if (this.currentTab !== 'packs') {
-                this.currentTab = 'packs';
+    setupLanguage() {
+        const picker = document.getElementById('language-picker');
+        if (!picker) return;
+
+        picker.innerHTML = `<span class="text-white/40 uppercase tracking-wider mr-1">${I18n.t('home.language')}</span>`;
+
+        Object.entries(I18n.LOCALES).forEach(([locale, name]) => {
+            const btn = document.createElement('button');
+            const isActive = I18n.locale === locale;
+            btn.className = `px-3 py-1 rounded-full font-bold transition-all ${isActive ? 'bg-white/20 text-white' : 'text-white/40 hover:text-white bg-white/5'}`;
+            btn.textContent = name;
+            btn.lang = locale;
+            btn.onclick = async () => {
+                if (isActive) return;
+                await I18n.setLocale(locale);
+                document.title = I18n.t('title.home');
+                State.updateUI();
                 this.render();
+            };
+            picker.appendChild(btn);
+        });
+    },
+
+    setupBackup() {
+        const openBtn = document.getElementById('btn-backup');
+        const dialog = document.getElementById('backup-dialog');
+        if (!openBtn || !dialog) return;
+
+        const codeBox = document.getElementById('backup-code');
+        const fileInput = document.getElementById('backup-file');
+        const status = document.getElementById('backup-status');
+        const importActions = document.getElementById('backup-import-actions');
+        let pending = null; // Validated backup waiting for merge/replace
+
+        const showStatus = (message, isError = false) => {
+            status.textContent = message;
+            status.className = `text-xs min-h-[1rem] ${isError ? 'text-red-400' : 'text-white/60'}`;
+        };
+
+        const check = (text) => {
+            pending = null;
+            importActions.classList.add('hidden');
+            try {
+                pending = Backup.parse(text);
+                showStatus(Backup.summarize(pending));
+                importActions.classList.remove('hidden');
+            } catch (e) {
+                showStatus(e.message, true);
             }
         };
 
-        tabEvents.onclick = () => {
-            if (this.currentTab !== 'events') {
-                this.currentTab = 'events';
-                this.render();
+        openBtn.onclick = () => {
+            codeBox.value = '';
+            showStatus('');
+            importActions.classList.add('hidden');
+            pending = null;
+            dialog.style.opacity = '1';
+            dialog.style.pointerEvents = 'auto';
+        };
+        document.getElementById('close-backup-dialog').onclick = () => this.closeBackupDialog();
+
+        document.getElementById('btn-backup-download').onclick = () => Backup.download();
+        document.getElementById('btn-backup-copy').onclick = async () => {
+            const code = Backup.toCode();
+            codeBox.value = code;
+            try {
+                await navigator.clipboard.writeText(code);
+                showStatus(I18n.t('backup.copied'));
+            } catch (e) {
+                codeBox.select();
+                showStatus(I18n.t('backup.copyManually'));
             }
         };
+
+        document.getElementById('btn-backup-check').onclick = () => check(codeBox.value);
+        fileInput.onchange = async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) check(await file.text());
+        };
+
+        document.getElementById('btn-backup-merge').onclick = () => {
+            if (!pending || !confirm(I18n.t('backup.confirmMerge'))) return;
+            State.merge(pending.data);
+            this.closeBackupDialog();
+            this.render();
+        };
+        document.getElementById('btn-backup-replace').onclick = () => {
+            if (!pending || !confirm(I18n.t('backup.confirmReplace'))) return;
+            State.restore(pending.data);
+            this.closeBackupDialog();
+            this.render();
+        };
+    },
+
+    closeBackupDialog() {
+        const dialog = document.getElementById('backup-dialog');
+        dialog.style.opacity = '0';
+        dialog.style.pointerEvents = 'none';
+    },
+
+    renderBlitz() {
+        const panel = document.getElementById('blitz-panel');
+        if (!panel) return;
+
+        panel.innerHTML = `
+            <div class="flex items-center justify-between gap-4 mb-3">
+                <div>
+                    <h3 class="font-bold text-lg">⚡ ${I18n.t('blitz.title')}</h3>
+                    <p class="text-xs text-white/40">${I18n.t('blitz.description', { seconds: Blitz.DURATION })}</p>
+                </div>
+                <button id="btn-play-blitz" class="bg-gradient-to-r from-cinema-red to-red-700 text-white font-bold px-5 py-2 rounded-full shadow-lg active:scale-95 transition-transform">${I18n.t('blitz.play')}</button>
+            </div>
+            ${State.blitzScores.length ? '' : `<p class="text-xs text-white/30 text-center py-2">${I18n.t('blitz.noRuns')}</p>`}
+        `;
+
+        // Runs come from the save, so they're set as text
+        if (State.blitzScores.length) {
+            const list = document.createElement('ol');
+            list.className = 'text-sm';
+            State.blitzScores.forEach((run, idx) => {
+                const row = document.createElement('li');
+                row.className = 'flex justify-between py-1 border-b border-white/5 last:border-0';
+                [
+                    ['text-white/40 w-6', `${I18n.number(idx + 1)}.`],
+                    ['flex-1 text-white/60', `${I18n.date(run.date)} • ${I18n.t('blitz.solved', { count: run.solved })}`],
+                    ['font-bold text-cinema-gold', I18n.number(run.score)]
+                ].forEach(([className, text]) => {
+                    const cell = document.createElement('span');
+                    cell.className = className;
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+                list.appendChild(row);
+            });
+            panel.appendChild(list);
+        }
+
+        const playBtn = document.getElementById('btn-play-blitz');
+        playBtn.onclick = () => Router.navigate('index.html?blitz=1');
+        this.items.push(playBtn);
+    },
+
+    renderDaily() {
+        const list = document.getElementById('packs-list');
+        list.innerHTML = '';
+
+        const puzzle = Daily.getPuzzle();
+        if (!puzzle) return;
+
+        const pack = DataLoader.getPack(puzzle.packId);
+        const solved = Daily.isSolved();
+        const streak = Daily.currentStreak();
+        const imgPath = pack.type === 'event'
+            ? `data/Events/${pack.name}/img/${puzzle.levelIndex + 1}.webp`
+            : `data/${pack.name}/img/${puzzle.levelIndex + 1}.webp`;
+
+        const el = document.createElement('button');
+        el.className = `md:col-span-2 bg-cinema-dark border border-white/10 rounded-xl p-4 flex items-center gap-4 text-left hover:bg-white/5 transition-colors group relative overflow-hidden ${solved ? 'opacity-75' : 'cursor-pointer'}`;
+        el.setAttribute('aria-label', solved
+            ? I18n.t('daily.solvedLabel', { count: streak })
+            : I18n.t('daily.label', { date: puzzle.dateKey, count: streak, coins: Daily.rewardFor(streak + 1) }));
+
+        el.innerHTML = `
+            <div class="w-24 h-36 rounded-lg bg-white/5 border border-white/10 overflow-hidden shrink-0 shadow-inner">
+                <img src="${imgPath}" alt="" class="w-full h-full object-cover ${solved ? '' : 'blur-sm'}" loading="lazy">
+            </div>
+            <div class="flex-1 min-w-0">
+                <p class="text-xs text-white/40 uppercase tracking-widest">${puzzle.dateKey}</p>
+                <h3 class="font-bold text-lg group-hover:text-cinema-gold transition-colors">${I18n.t('daily.title')}</h3>
+                <p class="text-xs text-white/40">${solved ? I18n.t('daily.solved') : I18n.t('daily.reward', { coins: Daily.rewardFor(streak + 1) })}</p>
+                <div class="mt-3 flex gap-3 text-sm">
+                    <span data-daily="streak" class="bg-white/10 px-3 py-1 rounded-full border border-white/10"></span>
+                    <span data-daily="best" class="bg-white/10 px-3 py-1 rounded-full border border-white/10"></span>
+                </div>
+            </div>
+            ${solved ? '<div class="text-2xl shrink-0">✅</div>' : `
+            <div class="text-white/20 group-hover:translate-x-1 transition-transform shrink-0">
+                <svg xmlns="http://www.w3.org/2000/svg" class="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7" />
+                </svg>
+            </div>`}
+        `;
+
+        // Streak numbers come from the save, so they're set as text
+        el.querySelector('[data-daily="streak"]').textContent = `🔥 ${I18n.t('daily.streak', { count: streak })}`;
+        el.querySelector('[data-daily="best"]').textContent = `🏆 ${I18n.t('daily.best', { best: State.daily.best })}`;
+
+        if (!solved) {
+            el.onclick = () => Router.navigate('index.html?daily=1');
+        }
+
+        list.appendChild(el);
+        this.items.push(el);
     },
 
     renderItems(data) {
@@ -350,20 +2794,34 @@ const Home = {
         list.innerHTML = '';
 
         data.forEach((pack, index) => {
-            const el = document.createElement('div');
+            // The card holds the pack button and, beside it, the offline toggle
+            const card = document.createElement('div');
+            const el = document.createElement('button');
 
             const isUnlocked = State.isPackUnlocked(pack.id);
             const isStarPack = pack.is_star;
+            const isUpcoming = pack.type === 'event' && Events.status(pack) === 'upcoming';
 
-            el.className = `bg-cinema-dark border border-white/10 rounded-xl p-4 flex items-center gap-4 hover:bg-white/5 transition-colors cursor-pointer group relative overflow-hidden ${!isUnlocked ? 'opacity-75' : ''}`;
+            card.className = `bg-cinema-dark border border-white/10 rounded-xl flex items-center hover:bg-white/5 transition-colors group relative overflow-hidden ${!isUnlocked ? 'opacity-75' : ''}`;
+            el.className = 'flex-1 min-w-0 p-4 flex items-center gap-4 text-left rounded-xl cursor-pointer';
+            el.setAttribute('aria-label', this.packLabel(pack, isUnlocked, isUpcoming));
 
             // Lock Overlay
             let lockOverlay = '';
-            if (!isUnlocked) {
+            if (isUpcoming) {
+                lockOverlay = `
+                    <div class="absolute inset-0 bg-black/60 backdrop-blur-[2px] flex flex-col items-center justify-center z-10 pointer-events-none" aria-hidden="true">
+                        <div class="text-2xl mb-1">🕒</div>
+                        <div class="text-xs font-bold text-cinema-gold uppercase tracking-wider" data-countdown="${pack.id}">${Events.countdownText(pack)}</div>
+                    </div>
+                `;
+            } else if (!isUnlocked) {
+                const hasStarLock = pack.star !== null && pack.star !== undefined && pack.star > 0;
                 lockOverlay = `
-                    <div class="absolute inset-0 bg-black/60 backdrop-blur-[2px] flex flex-col items-center justify-center z-10">
+                    <div class="absolute inset-0 bg-black/60 backdrop-blur-[2px] flex flex-col items-center justify-center z-10 pointer-events-none" aria-hidden="true">
                         <div class="text-2xl mb-1">🔒</div>
-                        <div class="text-xs font-bold text-cinema-gold uppercase tracking-wider">Requires ${pack.star} Stars</div>
+                        ${hasStarLock ? `<div class="text-xs font-bold text-cinema-gold uppercase tracking-wider">${I18n.t('pack.requiresStars', { count: pack.star })}</div>` : ''}
+                        ${pack.cost > 0 ? `<div class="mt-1 text-xs font-bold bg-cinema-gold text-cinema-black px-3 py-1 rounded-full shadow-sm">${hasStarLock ? `${I18n.t('pack.or')} ` : ''}🪙 ${I18n.number(pack.cost)}</div>` : ''}
                     </div>
                 `;
             }
@@ -372,8 +2830,8 @@ const Home = {
             let starBadge = '';
             if (isStarPack) {
                 starBadge = `
-                    <div class="absolute top-2 right-2 text-[10px] bg-cinema-gold text-cinema-black px-2 py-0.5 rounded-full font-bold shadow-sm z-20">
-                        ⭐ Earn Stars
+                    <div class="absolute top-2 right-2 text-[10px] bg-cinema-gold text-cinema-black px-2 py-0.5 rounded-full font-bold shadow-sm z-20 pointer-events-none" aria-hidden="true">
+                        ⭐ ${I18n.t('pack.earnStars')}
                     </div>
                 `;
             }
@@ -385,41 +2843,224 @@ const Home = {
                 : `data/${pack.name}/img/${coverIndex + 1}.webp`;
 
             el.innerHTML = `
-                ${lockOverlay}
-                ${starBadge}
                 <div class="w-16 h-16 rounded-lg bg-white/5 border border-white/10 overflow-hidden shrink-0 group-hover:scale-105 transition-transform duration-300 shadow-inner">
-                    <img src="${imgPath}" alt="${pack.name}" class="w-full h-full object-cover" loading="lazy">
+                    <img src="${imgPath}" alt="" class="w-full h-full object-cover" loading="lazy">
                 </div>
                 <div class="flex-1 min-w-0">
                     <h3 class="font-bold text-lg truncate group-hover:text-cinema-gold transition-colors">${pack.name}</h3>
-                    <p class="text-xs text-white/40 truncate">${pack.lvls} Levels • ${pack.description || 'Guess the movie!'}</p>
+                    <p class="text-xs text-white/40 truncate">${I18n.t('pack.levels', { count: pack.lvls })} • ${pack.description || I18n.t('pack.defaultDescription')}</p>
+                    ${pack.type === 'event' ? this.eventInfo(pack, isUpcoming) : ''}
                     
                     <!-- Progress Bar -->
                     <div class="mt-3 h-1.5 w-full bg-white/5 rounded-full overflow-hidden">
                         <div class="h-full bg-gradient-to-r from-cinema-gold to-yellow-600 w-[${(State.unlocked[pack.id] / pack.lvls) * 100}%]"></div>
                     </div>
+                    <p class="offline-status mt-1 text-[10px] text-white/40 truncate"></p>
                 </div>
-                <div class="text-white/20 group-hover:translate-x-1 transition-transform shrink-0">
+                <div class="text-white/20 group-hover:translate-x-1 transition-transform shrink-0" aria-hidden="true">
                     <svg xmlns="http://www.w3.org/2000/svg" class="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7" />
                     </svg>
                 </div>
             `;
+            card.innerHTML = `
+                ${lockOverlay}
+                ${starBadge}
+                ${isUnlocked && Offline.isSupported() ? `
+                <button class="offline-btn mr-4 w-9 h-9 rounded-full bg-white/5 border border-white/10 hover:bg-white/10 flex items-center justify-center shrink-0 z-20 text-sm"></button>
+                ` : ''}
+            `;
+            card.prepend(el);
 
             if (isUnlocked) {
-                el.onclick = () => window.location.href = `levels.html?id=${pack.id}`;
+                el.onclick = () => Router.navigate(`index.html?${new URLSearchParams({ id: pack.id })}`);
+
+                const offlineBtn = card.querySelector('.offline-btn');
+                if (offlineBtn) {
+                    offlineBtn.onclick = () => this.toggleOffline(pack, card);
+                }
+                this.updateOfflineStatus(pack, card);
             } else {
                 el.onclick = () => {
+                    if (pack.cost > 0 && !isUpcoming && confirm(I18n.t('pack.confirmUnlock', { name: pack.name, coins: pack.cost }))) {
+                        if (State.purchasePack(pack.id)) {
+                            this.render();
+                            return;
+                        }
+                        alert(I18n.t('common.notEnoughCoins'));
+                    }
                     // Shake animation or toast could be added here
-                    el.classList.add('animate-pulse');
-                    setTimeout(() => el.classList.remove('animate-pulse'), 500);
+                    card.classList.add('animate-pulse');
+                    setTimeout(() => card.classList.remove('animate-pulse'), 500);
                 };
             }
 
-            list.appendChild(el);
+            list.appendChild(card);
             this.items.push(el);
         });
     },
+
+    // What a screen reader hears for a pack card, lock details included
+    packLabel(pack, isUnlocked, isUpcoming) {
+        const solved = Object.keys(State.completed[pack.id] || {}).length;
+        const parts = [pack.name, I18n.t('pack.levelCount', { count: pack.lvls }), I18n.t('pack.solved', { count: solved })];
+        if (isUpcoming) {
+            parts.push(I18n.t('pack.lockedUntil', { time: Events.countdownText(pack) }));
+        } else if (!isUnlocked) {
+            const unlocks = [];
+            if (pack.star > 0) unlocks.push(I18n.t('pack.stars', { count: pack.star }));
+            if (pack.cost > 0) unlocks.push(I18n.t('pack.coins', { count: pack.cost }));
+            parts.push(unlocks.length ? I18n.t('pack.lockedUnlockWith', { ways: unlocks.join(` ${I18n.t('pack.or')} `) }) : I18n.t('pack.locked'));
+        }
+        if (pack.is_star) parts.push(I18n.t('pack.earnsStars'));
+        return parts.join(', ');
+    },
+    // Countdown and reward lines under an event's description
+    eventInfo(pack, isUpcoming) {
+        const left = Events.timeLeft(pack);
+        const endingSoon = !isUpcoming && left !== null && left < Events.ENDING_SOON;
+        const countdown = left !== null && !isUpcoming
+            ? `<span class="${endingSoon ? 'text-red-400' : 'text-cinema-gold'}">⏳ <span data-countdown="${pack.id}">${Events.countdownText(pack)}</span></span>`
+            : '';
+        let reward = '';
+        if (pack.reward) {
+            reward = State.eventRewards[pack.id]
+                ? `<span class="text-green-400">✅ ${I18n.t('event.rewardCollected')}</span>`
+                : `<span class="text-white/60">🎁 ${Events.rewardText(pack.reward)}</span>`;
+        }
+        if (!countdown && !reward) return '';
+        return `<p class="mt-1 text-[10px] font-bold truncate flex gap-3">${countdown}${reward}</p>`;
+    },
+
+    // Badges earned so far, then the archive of events that have ended
+    renderEventExtras(current) {
+        const list = document.getElementById('packs-list');
+
+        if (current.length === 0) {
+            list.insertAdjacentHTML('beforeend', `
+                <p class="col-span-full text-center text-white/40 text-sm py-6">${I18n.t('event.none')}</p>
+            `);
+        }
+
+        const badges = Object.entries(State.badges);
+        if (badges.length > 0) {
+            list.insertAdjacentHTML('beforeend', `
+                <div class="col-span-full bg-cinema-dark border border-white/10 rounded-xl p-4">
+                    <h3 class="text-xs font-bold text-white/40 uppercase tracking-wider mb-2">${I18n.t('event.yourBadges')}</h3>
+                    <div class="flex flex-wrap gap-2"></div>
+                </div>
+            `);
+            // Badges come from the save, so they're set as text
+            const row = list.lastElementChild.querySelector('div');
+            badges.forEach(([id, badge]) => {
+                const chip = document.createElement('span');
+                chip.className = 'text-xs font-bold bg-cinema-gold/10 border border-cinema-gold/30 text-cinema-gold px-3 py-1 rounded-full';
+                chip.title = I18n.t('badge.earnedOn', { date: I18n.date(badge.at) });
+                chip.textContent = `${badge.icon} ${Achievements.badgeName(id, badge)}`;
+                row.appendChild(chip);
+            });
+        }
+
+        const ended = DataLoader.events.filter(pack => Events.status(pack) === 'ended');
+        if (ended.length === 0) return;
+
+        list.insertAdjacentHTML('beforeend', `
+            <h3 class="col-span-full mt-4 text-xs font-bold text-white/40 uppercase tracking-wider">${I18n.t('event.endedEvents')}</h3>
+        `);
+        ended.forEach(pack => {
+            const solved = Object.keys(State.completed[pack.id] || {}).length;
+            list.insertAdjacentHTML('beforeend', `
+                <div class="bg-cinema-dark/50 border border-white/5 rounded-xl p-4 flex items-center gap-4 opacity-60">
+                    <div class="flex-1 min-w-0">
+                        <h4 class="font-bold truncate">${pack.name}</h4>
+                        <p class="text-xs text-white/40 truncate">${I18n.t('event.endedOn', { date: I18n.date(pack.end), solved, total: pack.lvls })}</p>
+                    </div>
+                    ${State.eventRewards[pack.id] ? `<span class="text-xs font-bold text-green-400 shrink-0">✅ ${I18n.t('event.completed')}</span>` : ''}
+                </div>
+            `);
+        });
+    },
+
+    // Re-renders when an event starts or ends, otherwise just refreshes the countdown text
+    startCountdowns() {
+        const statuses = DataLoader.events.map(pack => Events.status(pack)).join();
+        this.countdownTimer = setInterval(() => {
+            if (DataLoader.events.map(pack => Events.status(pack)).join() !== statuses) {
+                this.render();
+                return;
+            }
+            document.querySelectorAll('[data-countdown]').forEach(el => {
+                el.textContent = Events.countdownText(DataLoader.getPack(el.dataset.countdown));
+            });
+        }, 60 * 1000);
+    },
+
+    stopCountdowns() {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+    },
+
+    updateOfflineStatus(pack, el) {
+        const status = el.querySelector('.offline-status');
+        const btn = el.querySelector('.offline-btn');
+        if (!status) return;
+
+        const progress = Offline.downloading[pack.id];
+        if (progress) {
+            status.textContent = I18n.t('offline.downloading', { done: progress.done, total: progress.total });
+            if (btn) btn.textContent = '⏳';
+        } else if (Offline.isAvailable(pack.id)) {
+            status.textContent = `✅ ${I18n.t('offline.available', { size: Offline.formatBytes(Offline.index[pack.id].bytes) })}`;
+            if (btn) {
+                btn.textContent = '🗑️';
+                btn.title = I18n.t('offline.remove');
+            }
+        } else {
+            status.textContent = '';
+            if (btn) {
+                btn.textContent = '⬇️';
+                btn.title = I18n.t('offline.download');
+            }
+        }
+        if (btn) btn.setAttribute('aria-label', `${btn.title}: ${pack.name}`);
+    },
+
+    async toggleOffline(pack, el) {
+        if (Offline.downloading[pack.id]) return;
+
+        if (Offline.isAvailable(pack.id)) {
+            if (!confirm(I18n.t('offline.confirmRemove', { name: pack.name }))) return;
+            await Offline.removePack(pack);
+        } else {
+            try {
+                const download = Offline.downloadPack(pack, () => this.updateOfflineStatus(pack, el));
+                this.updateOfflineStatus(pack, el);
+                await download;
+            } catch (e) {
+                console.error(`Failed to download ${pack.name}:`, e);
+                alert(I18n.t('offline.failed'));
+            }
+        }
+
+        this.updateOfflineStatus(pack, el);
+        this.renderStorageUsage();
+    },
+
+    async renderStorageUsage() {
+        const el = document.getElementById('offline-storage');
+        if (!el || !Offline.isSupported()) return;
+
+        const used = Offline.totalBytes();
+        const count = Object.keys(Offline.index).length;
+        let text = count ? `📥 ${I18n.t('offline.packs', { count, size: Offline.formatBytes(used) })}` : '';
+
+        if (navigator.storage && navigator.storage.estimate) {
+            const { usage, quota } = await navigator.storage.estimate();
+            if (quota) text += `${text ? ' • ' : ''}${I18n.t('offline.usage', { used: Offline.formatBytes(usage), quota: Offline.formatBytes(quota) })}`;
+        }
+        el.textContent = text;
+    },
+
     updateFocus() {
         this.items.forEach((el, idx) => {
             if (idx === this.selectedIndex) {
@@ -443,12 +3084,155 @@ const Home = {
             this.updateFocus();
             e.preventDefault();
         } else if (e.key === 'Enter') {
+            // A focused tab, header or offline button presses itself
+            if (e.target && e.target.tagName === 'BUTTON' && !this.items.includes(e.target)) return;
             this.items[this.selectedIndex].click();
             e.preventDefault();
         }
     }
 };
 
+// --- Badge Gallery View ---
+const BadgeGallery = {
+    init() {
+        this.render();
+    },
+
+    render() {
+        const grid = document.getElementById('badges-grid');
+        const earned = Achievements.LIST.filter(achievement => Achievements.isUnlocked(achievement.id)).length;
+        document.getElementById('badges-summary').textContent = I18n.t('badge.summary', { earned, count: Achievements.LIST.length });
+
+        grid.innerHTML = '';
+        Achievements.LIST.forEach(achievement => {
+            const badge = State.badges[achievement.id];
+            const description = I18n.t(`achievement.${achievement.id}.description`);
+            grid.appendChild(this.card(achievement.icon, I18n.t(`achievement.${achievement.id}.name`), badge
+                ? `${description} • ${I18n.date(badge.at)}`
+                : description, !!badge));
+        });
+
+        // Event rewards have no achievement behind them; they're only shown once earned
+        const eventBadges = Object.values(State.badges).filter(badge => badge.event);
+        if (eventBadges.length > 0) {
+            grid.insertAdjacentHTML('beforeend', `
+                <h3 class="col-span-full mt-4 text-xs font-bold text-white/40 uppercase tracking-wider">${I18n.t('badge.eventBadges')}</h3>
+            `);
+            eventBadges.forEach(badge => {
+                grid.appendChild(this.card(badge.icon, badge.name, I18n.t('badge.fromEvent', { event: badge.event, date: I18n.date(badge.at) }), true));
+            });
+        }
+    },
+
+    // Names and icons can come from the save, so the card's text is set as text
+    card(icon, name, detail, earned) {
+        const card = document.createElement('div');
+        card.className = `bg-cinema-dark border ${earned ? 'border-cinema-gold/30' : 'border-white/10 opacity-50'} rounded-xl p-4 flex items-center gap-4`;
+        card.innerHTML = `
+            <div class="text-3xl shrink-0 ${earned ? '' : 'grayscale'}"></div>
+            <div class="min-w-0">
+                <h4 class="font-bold truncate ${earned ? 'text-cinema-gold' : ''}"></h4>
+                <p class="text-xs text-white/40"></p>
+            </div>
+        `;
+        card.querySelector('.text-3xl').textContent = earned ? icon : '🔒';
+        card.querySelector('h4').textContent = name;
+        card.querySelector('p').textContent = detail;
+        return card;
+    },
+
+    handleInput(e) {
+        if (e.key === 'Escape') {
+            Router.navigate('index.html');
+            e.preventDefault();
+        }
+    }
+};
+
+// --- Stats View ---
+const StatsPage = {
+    async init() {
+        const totals = Stats.totals();
+        const tiles = [
+            ['stats.total.solved', I18n.number(totals.solved)],
+            ['stats.total.skipped', I18n.number(totals.skipped)],
+            ['stats.total.time', Stats.formatTime(totals.seconds)],
+            ['stats.total.average', Stats.formatTime(totals.avgSeconds)],
+            ['stats.total.hints', I18n.number(totals.hints)],
+            ['stats.total.wrong', I18n.number(totals.wrong)]
+        ];
+        document.getElementById('stats-totals').innerHTML = tiles.map(([label, value]) => `
+            <div class="bg-cinema-dark border border-white/10 rounded-xl p-4 text-center">
+                <div class="text-2xl font-bold text-cinema-gold">${value}</div>
+                <div class="text-xs text-white/40 uppercase tracking-wider">${I18n.t(label)}</div>
+            </div>
+        `).join('');
+
+        this.renderPacks();
+        await this.renderHardest();
+    },
+
+    renderPacks() {
+        const rows = [...DataLoader.packs, ...DataLoader.events]
+            .map(pack => ({ pack, summary: Stats.packSummary(pack.id) }))
+            .filter(({ summary }) => summary.played > 0)
+            .map(({ pack, summary }) => `
+                <tr class="border-b border-white/5 last:border-0">
+                    <td class="py-2 font-bold">${pack.name}</td>
+                    <td class="py-2 text-right">${I18n.number(summary.played)}/${I18n.number(pack.lvls)}</td>
+                    <td class="py-2 text-right">${Stats.formatTime(summary.avgSeconds)}</td>
+                    <td class="py-2 text-right">${I18n.number(summary.hints)}</td>
+                    <td class="py-2 text-right">${I18n.number(summary.wrong)}</td>
+                    <td class="py-2 text-right">${I18n.number(summary.skipped)}</td>
+                </tr>
+            `).join('');
+
+        document.getElementById('stats-packs').innerHTML = rows ? `
+            <table class="w-full text-sm">
+                <thead class="text-xs text-white/40 uppercase tracking-wider">
+                    <tr>
+                        <th class="text-left py-2">${I18n.t('stats.column.pack')}</th>
+                        ${['played', 'average', 'hints', 'wrong', 'skips'].map(column => `<th class="text-right">${I18n.t(`stats.column.${column}`)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        ` : `<p class="text-sm text-white/30 text-center py-4">${I18n.t('stats.empty')}</p>`;
+    },
+
+    async renderHardest() {
+        const list = document.getElementById('stats-hardest');
+        const hardest = Stats.hardest();
+        list.innerHTML = '';
+
+        for (const [rank, { packId, levelIndex, stat }] of hardest.entries()) {
+            const levels = await DataLoader.getLevels(packId);
+            if (Router.current !== 'stats') return; // Left while titles were loading
+            const level = levels[levelIndex];
+
+            const row = document.createElement('button');
+            row.className = 'w-full flex items-center gap-3 text-left bg-cinema-dark border border-white/10 rounded-xl p-3 hover:bg-white/5 transition-colors';
+            row.innerHTML = `
+                <span class="text-white/40 w-6 shrink-0">${I18n.number(rank + 1)}.</span>
+                <span class="flex-1 min-w-0">
+                    <span class="block font-bold truncate">${level ? level.answer : ''}</span>
+                    <span class="block text-xs text-white/40 truncate">${packId} • ${I18n.t('level.number', { n: levelIndex + 1 })} • ${Stats.describe(stat)}</span>
+                </span>
+            `;
+            row.onclick = () => Router.navigate(`index.html?${new URLSearchParams({ id: packId, focus: levelIndex })}`);
+            list.appendChild(row);
+        }
+        document.getElementById('stats-hardest-empty').classList.toggle('hidden', hardest.length > 0);
+    },
+
+    handleInput(e) {
+        if (e.key === 'Escape') {
+            Router.navigate('index.html');
+            e.preventDefault();
+        }
+    }
+};
+
 // --- Album View Logic ---
 const Album = {
     packId: null,
@@ -460,30 +3244,31 @@ const Album = {
         const packId = params.get('id');
 
         if (!packId) {
-            window.location.href = 'index.html';
+            Router.navigate('index.html', { replace: true });
             return;
         }
 
         this.packId = packId;
-        this.selectedIndex = 0; // Or find first unlocked/uncompleted?
+        this.selectedIndex = Math.max(parseInt(params.get('focus'), 10) || 0, 0); // Actor links point at their level
 
         const pack = DataLoader.getPack(packId);
         if (!pack) {
             // Data might not be loaded yet if init called too early, but we await DataLoader.init()
-            window.location.href = 'index.html';
+            Router.navigate('index.html', { replace: true });
             return;
         }
 
         // Security Check: Pack Lock
         if (!State.isPackUnlocked(packId)) {
-            window.location.href = 'index.html';
+            Router.navigate('index.html', { replace: true });
             return;
         }
 
         document.getElementById('album-title').innerHTML = `
             ${pack.name} 
-            ${pack.is_star ? '<span class="ml-2 text-sm bg-cinema-gold text-cinema-black px-2 py-0.5 rounded-full align-middle">⭐ Earn Stars</span>' : ''}
+            ${pack.is_star ? `<span class="ml-2 text-sm bg-cinema-gold text-cinema-black px-2 py-0.5 rounded-full align-middle">⭐ ${I18n.t('pack.earnStars')}</span>` : ''}
         `;
+        document.getElementById('album-stats').textContent = Stats.packSummaryText(packId);
 
         const grid = document.getElementById('levels-grid');
         grid.innerHTML = '';
@@ -493,7 +3278,7 @@ const Album = {
         // Since we don't have the full level list loaded here (it's in units.json), 
         // we rely on pack.lvls metadata.
         for (let i = 0; i < pack.lvls; i++) {
-            const el = document.createElement('div');
+            const el = document.createElement('button');
             const isUnlocked = State.isLevelUnlocked(packId, i);
             const isCompleted = State.completed[packId] && State.completed[packId][i];
 
@@ -502,7 +3287,9 @@ const Album = {
                 ? `data/Events/${pack.name}/img/${i + 1}.webp`
                 : `data/${pack.name}/img/${i + 1}.webp`;
 
-            el.className = `aspect-[2/3] rounded-xl relative overflow-hidden group transition-all duration-300 border border-white/10 ${isUnlocked ? 'cursor-pointer hover:scale-105 hover:shadow-xl hover:shadow-black/50 hover:border-cinema-gold/50' : 'opacity-50 grayscale cursor-not-allowed'}`;
+            el.className = `aspect-[2/3] rounded-xl relative overflow-hidden group transition-all duration-300 border border-white/10 ${isUnlocked ? 'cursor-pointer hover:scale-105 hover:shadow-xl hover:shadow-black/50 hover:border-cinema-gold/50' : 'locked opacity-50 grayscale cursor-not-allowed'}`;
+            el.disabled = !isUnlocked;
+            el.setAttribute('aria-label', I18n.t(isCompleted ? 'album.levelCompleted' : (isUnlocked ? 'album.levelOpen' : 'album.levelLocked'), { n: i + 1 }));
 
             let overlay = '';
             if (isCompleted) {
@@ -524,10 +3311,10 @@ const Album = {
             }
 
             el.innerHTML = `
-                <img src="${imgPath}" class="w-full h-full object-cover transition-transform duration-500 group-hover:scale-110" loading="lazy" alt="Level ${i + 1}">
+                <img src="${imgPath}" class="w-full h-full object-cover transition-transform duration-500 group-hover:scale-110" loading="lazy" alt="">
                 <div class="absolute inset-0 bg-gradient-to-t from-black/90 via-transparent to-transparent">
                     <div class="absolute bottom-2 left-0 right-0 text-center">
-                        <span class="text-lg font-bold text-white drop-shadow-md font-mono">${i + 1}</span>
+                        <span class="text-lg font-bold text-white drop-shadow-md font-mono">${I18n.number(i + 1)}</span>
                     </div>
                 </div>
                 ${overlay}
@@ -538,7 +3325,7 @@ const Album = {
                     if (isCompleted) {
                         this.showAnswerDialog(packId, i);
                     } else {
-                        window.location.href = `game.html?id=${packId}&level=${i}`;
+                        Router.navigate(`index.html?${new URLSearchParams({ id: packId, level: i })}`);
                     }
                 };
             }
@@ -547,6 +3334,13 @@ const Album = {
             this.items.push(el);
         }
 
+        // Practice run through every level once the whole pack is solved
+        const replayBtn = document.getElementById('btn-replay-pack');
+        const packDone = Array.from({ length: pack.lvls }, (_, i) => i).every(i => State.completed[packId] && State.completed[packId][i]);
+        replayBtn.classList.toggle('hidden', !packDone);
+        replayBtn.onclick = () => Router.navigate(`index.html?${new URLSearchParams({ id: packId, level: 0, practice: 'pack' })}`);
+
+        this.selectedIndex = Math.min(this.selectedIndex, this.items.length - 1);
         this.updateFocus();
     },
 
@@ -571,8 +3365,8 @@ const Album = {
         if (!dialog || !img || !text) return;
 
         // Load data if needed (might not be loaded if we came straight here, though unlikely)
-        const words = await DataLoader.getLevelWords(packId);
-        const word = words[levelIndex];
+        const levels = await DataLoader.getLevels(packId);
+        const level = levels[levelIndex];
         const pack = DataLoader.getPack(packId);
 
         // Image path
@@ -584,11 +3378,27 @@ const Album = {
         }
 
         img.src = imgPath;
-        text.textContent = word;
+        text.textContent = level ? level.answer : '';
+        LevelInfo.render(document.getElementById('answer-details'), level);
+        const stat = Stats.get(packId, levelIndex);
+        document.getElementById('answer-stats').textContent = stat ? Stats.describe(stat) : '';
+
+        document.getElementById('btn-practice-replay').onclick = () => {
+            Router.navigate(`index.html?${new URLSearchParams({ id: packId, level: levelIndex, practice: 'level' })}`);
+        };
 
         dialog.style.opacity = '1';
         dialog.style.pointerEvents = 'auto';
         dialog.classList.remove('pointer-events-none');
+        A11y.openDialog(dialog, document.getElementById('close-answer-dialog'));
+    },
+
+    closeAnswerDialog() {
+        const dialog = document.getElementById('answer-dialog');
+        if (dialog.hasAttribute('inert')) return;
+        dialog.style.opacity = '0';
+        dialog.style.pointerEvents = 'none';
+        A11y.closeDialog(dialog);
     },
 
     handleInput(e) {
@@ -625,14 +3435,19 @@ const Album = {
             }
             e.preventDefault();
         } else if (e.key === 'Enter') {
+            if (e.target && e.target.tagName === 'BUTTON' && !this.items.includes(e.target)) return;
             if (!this.items[this.selectedIndex].classList.contains('locked')) {
                 this.items[this.selectedIndex].click();
             }
             e.preventDefault();
         } else if (e.key === 'Escape') {
-            window.location.href = 'index.html';
+            Router.navigate('index.html');
             e.preventDefault();
         }
+    },
+
+    leave() {
+        this.closeAnswerDialog();
     }
 };
 
@@ -643,94 +3458,90 @@ const Game = {
     targetWord: "",
     scrambledLetters: [],
     selectedIndices: [], // Array of size targetWord.length, containing scrambledIndex or null
+    daily: null, // Today's puzzle when playing the daily challenge
+    blitz: false, // Timed run that chains levels in place
+    practice: null, // 'level' or 'pack' when replaying solved levels for fun: no rewards, no progress
+    hintsUsed: 0, // Hints bought on the current level
+    startedAt: 0, // Clock time the current level was shown, for solve times
+    wrongAttempts: 0, // Full boards or typed answers that were wrong
+    image: null, // Loaded level image, painted onto the canvases by Reveal.draw
+    revealStage: 0, // 0 (hidden) to Reveal.STAGES (whole image)
+    revealTimer: null,
+    tileOrder: [],
+    decoysRemoved: false,
+    deals: 0, // Times the current level's tiles were dealt; only the first uses the shared layout
+    layout: [], // Words of glyphs: { char, slot } to type or { char, fixed: true } shown as-is
+    level: null, // Current level's units.json entry
+    cluesShown: 0,
+    pickingSlot: false, // Waiting for the player to choose which slot a letter hint fills
+    slotCursor: 0,
+    TYPE_MODE_KEY: 'bollywood_type_mode',
+    typeMode: false, // Type the whole answer instead of picking tiles
 
     async init() {
         const params = new URLSearchParams(window.location.search);
-        const packId = params.get('id');
-        const levelIndex = parseInt(params.get('level'));
-
-        if (!packId || isNaN(levelIndex)) {
-            window.location.href = 'index.html';
-            return;
-        }
-
-        // Security Check: Prevent access to locked levels
-        if (!State.isLevelUnlocked(packId, levelIndex)) {
-            window.location.href = `levels.html?id=${packId}`;
-            return;
-        }
-
-        // Security Check: Prevent access to locked packs
-        if (!State.isPackUnlocked(packId)) {
-            window.location.href = 'index.html';
-            return;
-        }
-
-        // Replay Restriction: Prevent playing completed levels
-        if (State.completed[packId] && State.completed[packId][levelIndex]) {
-            // Redirect to levels page where they can see the answer dialog
-            window.location.href = `levels.html?id=${packId}`;
+        let packId = params.get('id');
+        let levelIndex = parseInt(params.get('level'));
+
+        // Blitz: levels are picked by the run itself
+        this.daily = null;
+        this.practice = null;
+        this.blitz = !!params.get('blitz');
+        if (this.blitz) {
+            this.setupControls();
+            Blitz.start();
             return;
         }
 
-        this.currentPackId = packId;
-        this.currentLevelIndex = levelIndex;
+        if (['level', 'pack'].includes(params.get('practice'))) this.practice = params.get('practice');
 
-        // Show loading state
-        document.getElementById('word-display').innerHTML = '<div class="text-white/50">Loading...</div>';
+        // Daily challenge: the puzzle comes from the date, not the URL
+        if (params.get('daily')) {
+            const puzzle = Daily.getPuzzle();
+            if (!puzzle || Daily.isSolved(puzzle.dateKey)) {
+                Router.navigate('index.html', { replace: true });
+                return;
+            }
+            this.daily = puzzle;
+            packId = puzzle.packId;
+            levelIndex = puzzle.levelIndex;
+        }
 
-        const words = await DataLoader.getLevelWords(packId);
-        if (!words || !words[levelIndex]) {
-            alert("Error loading level data!");
-            window.location.href = `levels.html?id=${packId}`;
+        if (!packId || isNaN(levelIndex)) {
+            Router.navigate('index.html', { replace: true });
             return;
         }
 
-        const rawWord = words[levelIndex];
-        this.currentRawWord = rawWord;
-        // Clean word: remove spaces, uppercase
-        this.targetWord = rawWord.replace(/\s+/g, '').toUpperCase();
-
-        // Setup UI
-        document.getElementById('current-level-num').textContent = levelIndex + 1;
-        document.getElementById('back-to-album').onclick = () => window.location.href = `levels.html?id=${packId}`;
-
-        // Image Loading
-        const pack = DataLoader.getPack(packId);
-        let imgPath = '';
-        if (pack.type === 'event') {
-            imgPath = `data/Events/${pack.name}/img/${levelIndex + 1}.webp`;
-        } else {
-            imgPath = `data/${pack.name}/img/${levelIndex + 1}.webp`;
+        // Practice only replays levels that were already solved for real
+        if (this.practice && !(State.completed[packId] && State.completed[packId][levelIndex])) {
+            Router.navigate(`index.html?${new URLSearchParams({ id: packId })}`, { replace: true });
+            return;
         }
-        const imgEl = document.getElementById('level-image');
-        imgEl.src = imgPath;
-        imgEl.onerror = () => {
-            // Fallback if image missing
-            imgEl.src = 'https://via.placeholder.com/400x600/0a0a0a/333333?text=No+Image';
-        };
 
-        // Full Screen Image Click
-        imgEl.parentElement.onclick = () => this.toggleFullScreenImage(true, imgPath);
+        // Daily puzzles are open to everyone, whatever their pack progress
+        if (!this.daily && !this.practice) {
+            // Security Check: Prevent access to locked levels
+            if (!State.isLevelUnlocked(packId, levelIndex)) {
+                Router.navigate(`index.html?${new URLSearchParams({ id: packId })}`, { replace: true });
+                return;
+            }
 
-        // Setup Full Screen Overlay Click
-        const fsOverlay = document.getElementById('fullscreen-image-overlay');
-        if (fsOverlay) {
-            fsOverlay.onclick = (e) => {
-                if (e.target !== document.getElementById('fullscreen-image')) {
-                    this.toggleFullScreenImage(false);
-                }
-            };
-            // Also close when clicking the image itself in full screen (common UX)
-            document.getElementById('fullscreen-image').onclick = () => this.toggleFullScreenImage(false);
-        }
+            // Security Check: Prevent access to locked packs
+            if (!State.isPackUnlocked(packId)) {
+                Router.navigate('index.html', { replace: true });
+                return;
+            }
 
-        // Buttons
-        document.getElementById('btn-delete').onclick = () => this.reset();
-        document.getElementById('btn-hint').onclick = () => this.useHint();
-        document.getElementById('btn-skip').onclick = () => this.skipLevel();
+            // Replay Restriction: Prevent playing completed levels
+            if (State.completed[packId] && State.completed[packId][levelIndex]) {
+                // Redirect to the album where they can see the answer dialog
+                Router.navigate(`index.html?${new URLSearchParams({ id: packId })}`, { replace: true });
+                return;
+            }
+        }
 
-        this.reset();
+        this.setupControls();
+        if (!(await this.loadLevel(packId, levelIndex))) return;
 
         // Onboarding Logic
         const onboardingMsg = document.getElementById('onboarding-msg');
@@ -752,33 +3563,188 @@ const Game = {
         }
     },
 
+    // Wire up everything that stays the same from one level to the next
+    setupControls() {
+        document.getElementById('back-to-album').onclick = () => this.exit();
+
+        // Full Screen Image Click
+        document.getElementById('level-image').parentElement.onclick = () => this.toggleFullScreenImage(true);
+
+        // Setup Full Screen Overlay Click
+        // Taps on the viewer zoom and pan; only the close button or Esc closes it
+        Zoom.attach(document.getElementById('fullscreen-image'));
+        document.getElementById('close-fullscreen').onclick = () => this.toggleFullScreenImage(false);
+
+        // Buttons
+        document.getElementById('btn-delete').onclick = () => this.reset();
+        document.getElementById('btn-hint').onclick = () => this.openHintMenu();
+        document.getElementById('close-hint-menu').onclick = () => this.closeHintMenu();
+        document.getElementById('btn-skip').onclick = () => this.skipLevel();
+        // A skipped daily would keep the streak for free
+        document.getElementById('btn-skip').classList.toggle('hidden', !!this.daily);
+        document.getElementById('skip-cost').textContent = this.priceOf('skip') ? I18n.number(this.priceOf('skip')) : I18n.t('game.skipFree');
+
+        document.getElementById('btn-type-mode').onclick = () => this.setTypeMode(!this.typeMode);
+        document.getElementById('answer-form').onsubmit = (e) => {
+            e.preventDefault();
+            this.submitTypedAnswer();
+        };
+        this.setTypeMode(!!StorageManager.getItem(this.TYPE_MODE_KEY));
+    },
+
+    // Load a level into the current page; Blitz calls this again to advance without a reload
+    async loadLevel(packId, levelIndex) {
+        this.currentPackId = packId;
+        this.currentLevelIndex = levelIndex;
+        this.hintsUsed = 0;
+        this.startedAt = Clock.now();
+        this.wrongAttempts = 0;
+
+        // Show loading state
+        document.getElementById('word-display').innerHTML = `<div class="text-white/50">${I18n.t('common.loading')}</div>`;
+
+        const levels = await DataLoader.getLevels(packId);
+        if (!levels || !levels[levelIndex] || !levels[levelIndex].answer) {
+            if (this.blitz) return false; // Blitz.next picks another level
+            alert(I18n.t('game.loadFailed'));
+            this.exit();
+            return false;
+        }
+
+        this.level = levels[levelIndex];
+        const rawWord = this.level.answer;
+        this.currentRawWord = rawWord;
+        // Only the letters need typing; spaces, digits and punctuation come from the layout
+        this.layout = this.buildLayout(rawWord);
+        this.targetWord = this.layout.flat().filter(glyph => !glyph.fixed).map(glyph => glyph.char).join('');
+        this.decoysRemoved = false;
+        this.deals = 0;
+        this.cluesShown = 0;
+        this.endSlotPick();
+        this.renderClues();
+        document.getElementById('answer-input').value = '';
+
+        if (this.daily) {
+            document.getElementById('level-label').textContent = I18n.t('game.dailyLabel', { date: this.daily.dateKey });
+        } else {
+            const label = I18n.t('level.number', { n: levelIndex + 1 });
+            document.getElementById('level-label').textContent = this.practice ? `${I18n.t('game.practice')} • ${label}` : label;
+        }
+
+        // Image Loading
+        const pack = DataLoader.getPack(packId);
+        let imgPath = '';
+        if (pack.type === 'event') {
+            imgPath = `data/Events/${pack.name}/img/${levelIndex + 1}.webp`;
+        } else {
+            imgPath = `data/${pack.name}/img/${levelIndex + 1}.webp`;
+        }
+        this.stopRevealTimer();
+        this.revealStage = Reveal.isActive() ? 0 : Reveal.STAGES;
+        // A pack level resumes from the most the player has seen, with any mode; opened with the mode off, that's all of it.
+        // A solved level is replayed with the whole image showing
+        if (this.mode() === 'pack') {
+            const seen = (State.completed[packId] || {})[levelIndex] ? Reveal.STAGES : State.seenStage(packId, levelIndex);
+            this.revealStage = Math.max(this.revealStage, Math.min(seen, Reveal.STAGES));
+        }
+        this.recordReveal();
+        this.tileOrder = Reveal.tileOrder(`${packId}:${levelIndex}`);
+        Zoom.reset();
+        this.image = null;
+        this.drawImage(); // Clears the previous level's picture
+
+        const img = new Image();
+        img.onload = () => {
+            if (this.image === img) this.drawImage();
+        };
+        img.onerror = () => {
+            // Fallback if image missing
+            img.onerror = null;
+            img.src = 'https://via.placeholder.com/400x600/0a0a0a/333333?text=No+Image';
+        };
+        img.src = imgPath;
+        this.image = img;
+        this.startRevealTimer();
+
+        this.reset();
+        return true;
+    },
+
     handleInput(e) {
         const key = e.key.toUpperCase();
 
-        // Check for Full Screen Overlay
-        const fsOverlay = document.getElementById('fullscreen-image-overlay');
-        const isOverlayOpen = fsOverlay && !fsOverlay.classList.contains('pointer-events-none');
+        // Hint menu: number keys pick a hint, Enter the focused one
+        if (this.isHintMenuOpen()) {
+            e.preventDefault();
+            const type = Hints.TYPES[parseInt(e.key, 10) - 1];
+            if (key === 'ESCAPE') {
+                this.closeHintMenu();
+            } else if (type) {
+                this.chooseHint(type.id);
+            } else if (key === 'ENTER' && e.target && e.target.closest && e.target.closest('#hint-options button')) {
+                e.target.click();
+            }
+            return;
+        }
 
-        if (isOverlayOpen) {
-            if (key === 'ESCAPE' || key === 'ENTER' || e.code === 'Space') {
-                this.toggleFullScreenImage(false);
+        // The answer box handles its own typing; Esc goes back to tiles
+        if (e.target && e.target.id === 'answer-input') {
+            if (key === 'ESCAPE') {
                 e.preventDefault();
+                this.setTypeMode(false);
+            }
+            return;
+        }
+
+        if (this.isFullScreenOpen()) {
+            const pan = { ArrowLeft: [1, 0], ArrowRight: [-1, 0], ArrowUp: [0, 1], ArrowDown: [0, -1] }[e.key];
+            if (key === 'ESCAPE' || e.code === 'Space') {
+                this.toggleFullScreenImage(false);
+            } else if (e.key === '+' || e.key === '=') {
+                Zoom.zoomBy(Zoom.STEP);
+            } else if (e.key === '-' || e.key === '_') {
+                Zoom.zoomBy(1 / Zoom.STEP);
+            } else if (e.key === '0') {
+                Zoom.zoomTo(1);
+            } else if (pan) {
+                Zoom.panBy(pan[0] * Zoom.PAN_STEP, pan[1] * Zoom.PAN_STEP);
+            } else {
+                return; // Block other input
             }
-            return; // Block other input
+            e.preventDefault();
+            return;
         }
 
+        // Tab moves through the tiles and buttons; Enter presses the focused one
+        if (e.key === 'Tab') return;
+        if (key === 'ENTER' && !this.pickingSlot && e.target && e.target.tagName === 'BUTTON') return;
+
         e.preventDefault(); // Prevent default browser actions for handled keys
 
+        // Letter hint: arrows move between open slots, Enter reveals
+        if (this.pickingSlot) {
+            const open = this.selectedIndices.map((_, i) => i).filter(i => !this.isSlotCorrect(i));
+            const pos = open.indexOf(this.slotCursor);
+            if (key === 'ESCAPE') {
+                this.endSlotPick();
+                this.render();
+            } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                const step = e.key === 'ArrowLeft' ? -1 : 1;
+                this.slotCursor = open[(pos + step + open.length) % open.length];
+                this.render();
+            } else if (key === 'ENTER') {
+                this.revealLetter(this.slotCursor);
+            }
+            return;
+        }
+
         if (key === 'ESCAPE') {
-            window.location.href = `levels.html?id=${this.currentPackId}`;
+            this.exit();
             return;
         }
 
         if (e.code === 'Space') {
-            const imgEl = document.getElementById('level-image');
-            if (imgEl) {
-                this.toggleFullScreenImage(true, imgEl.src);
-            }
+            this.toggleFullScreenImage(true);
             return;
         }
 
@@ -801,7 +3767,7 @@ const Game = {
 
         // Shortcuts with Arrow Keys
         if (e.key === 'ArrowUp') {
-            this.useHint();
+            this.openHintMenu();
             return;
         }
         if (e.key === 'ArrowDown') {
@@ -812,6 +3778,10 @@ const Game = {
             this.skipLevel();
             return;
         }
+        if (e.key === '/') {
+            this.setTypeMode(true);
+            return;
+        }
 
         // Check if key matches any available letter in scrambledLetters
         // We need to find a letter that matches `key` and is NOT selected.
@@ -819,7 +3789,7 @@ const Game = {
 
         let foundIdx = -1;
         for (let i = 0; i < this.scrambledLetters.length; i++) {
-            if (this.scrambledLetters[i].char === key && !this.isScrambledIndexSelected(i)) {
+            if (this.scrambledLetters[i].char === key && this.isScrambledIndexAvailable(i)) {
                 foundIdx = i;
                 break;
             }
@@ -830,22 +3800,154 @@ const Game = {
         }
     },
 
+    setTypeMode(on) {
+        this.typeMode = on;
+        StorageManager.setItem(this.TYPE_MODE_KEY, on);
+
+        document.getElementById('answer-form').classList.toggle('hidden', !on);
+        document.getElementById('keyboard').classList.toggle('hidden', on);
+        document.getElementById('btn-type-mode').innerHTML = on
+            ? `🔤 ${I18n.t('game.useTiles')} <span class="opacity-50">[Esc]</span>`
+            : `⌨️ ${I18n.t('game.typeAnswer')} <span class="opacity-50">[/]</span>`;
+
+        const input = document.getElementById('answer-input');
+        if (on) {
+            input.focus();
+        } else {
+            input.blur();
+        }
+    },
+
+    submitTypedAnswer() {
+        const input = document.getElementById('answer-input');
+        if (!this.level || !input.value.trim()) return;
+
+        if (Answers.matches(input.value, this.level)) {
+            input.value = '';
+            // Fill the board so a typed solve ends exactly like a tile solve
+            this.selectedIndices.forEach((_, i) => {
+                if (!this.isSlotCorrect(i)) this.placeCorrectLetter(i);
+            });
+            this.render();
+            this.checkWin();
+        } else {
+            this.wrongAttempts++;
+            A11y.announce(I18n.t('a11y.wrong'));
+            input.classList.add('animate-shake');
+            setTimeout(() => input.classList.remove('animate-shake'), 500);
+            input.select();
+        }
+    },
+
+    buildLayout(rawWord) {
+        let slot = 0;
+        return rawWord.trim().split(/\s+/).map(word =>
+            word.toUpperCase().split('').map(char =>
+                /[A-Z]/.test(char) ? { char, slot: slot++ } : { char, fixed: true }
+            )
+        );
+    },
+
+    exit() {
+        Router.navigate((this.daily || this.blitz) ? 'index.html' : `index.html?${new URLSearchParams({ id: this.currentPackId })}`);
+    },
+
+    // Called by the router when another view takes over
+    leave() {
+        if (Blitz.running) {
+            Blitz.running = false;
+            clearInterval(Blitz.timerId);
+        }
+        document.getElementById('blitz-hud').classList.add('hidden');
+        this.stopRevealTimer();
+        this.toggleFullScreenImage(false);
+        this.closeHintMenu();
+        this.endSlotPick();
+
+        const modal = document.getElementById('completion-modal');
+        const content = document.getElementById('modal-content');
+        modal.style.opacity = '0';
+        modal.style.pointerEvents = 'none';
+        content.classList.remove('scale-100');
+        content.classList.add('scale-95');
+        if (!modal.hasAttribute('inert')) A11y.closeDialog(modal);
+    },
+
     isScrambledIndexSelected(scrambledIdx) {
         return this.selectedIndices.includes(scrambledIdx);
     },
 
-    toggleFullScreenImage(show, imgSrc = '') {
+    // Free to place: not already in a slot and not thrown out by the decoy power-up
+    isScrambledIndexAvailable(scrambledIdx) {
+        return !this.isScrambledIndexSelected(scrambledIdx) && !this.scrambledLetters[scrambledIdx].removed;
+    },
+
+    drawImage() {
+        const canvas = document.getElementById('level-image');
+        if (!this.image) {
+            canvas.width = canvas.width; // Blank until the next image loads
+        } else {
+            Reveal.draw(canvas, this.image, Reveal.current(), this.revealStage, this.tileOrder);
+        }
+
+        const overlay = document.getElementById('fullscreen-image-overlay');
+        if (this.image && !overlay.classList.contains('pointer-events-none')) {
+            Reveal.draw(document.getElementById('fullscreen-image'), this.image, Reveal.current(), this.revealStage, this.tileOrder);
+        }
+
+        const bonus = document.getElementById('reveal-bonus');
+        const coins = Reveal.rewardFor(this.revealStage / Reveal.STAGES) - Hints.WIN_REWARD;
+        // The bonus only pays out on pack levels
+        bonus.classList.toggle('hidden', !Reveal.isActive() || this.mode() !== 'pack' || coins === 0);
+        bonus.textContent = `🪙 ${I18n.t('reveal.bonus', { coins })}`;
+    },
+
+    revealMore() {
+        if (this.revealStage >= Reveal.STAGES) return;
+        this.revealStage++;
+        this.recordReveal();
+        this.drawImage();
+        if (this.revealStage >= Reveal.STAGES) this.stopRevealTimer();
+    },
+
+    recordReveal() {
+        if (this.mode() !== 'pack' || (State.completed[this.currentPackId] || {})[this.currentLevelIndex]) return;
+        State.markRevealed(this.currentPackId, this.currentLevelIndex, this.revealStage);
+    },
+
+    startRevealTimer() {
+        if (this.revealStage >= Reveal.STAGES) return;
+        this.revealTimer = setInterval(() => this.revealMore(), Reveal.STAGE_SECONDS * 1000);
+    },
+
+    stopRevealTimer() {
+        clearInterval(this.revealTimer);
+        this.revealTimer = null;
+    },
+
+    buyReveal() {
+        if (this.spend('reveal', 'reveal')) {
+            this.hintsUsed++;
+            this.revealMore();
+        } else {
+            alert(I18n.t('common.notEnoughCoins'));
+        }
+    },
+
+    // The overlay paints the same reveal stage as the level image, so it can't show more
+    toggleFullScreenImage(show) {
         const overlay = document.getElementById('fullscreen-image-overlay');
         const fsImg = document.getElementById('fullscreen-image');
 
         if (!overlay || !fsImg) return;
 
         if (show) {
-            fsImg.src = imgSrc;
+            if (this.image) Reveal.draw(fsImg, this.image, Reveal.current(), this.revealStage, this.tileOrder);
             overlay.classList.remove('pointer-events-none', 'opacity-0');
             fsImg.classList.remove('scale-95');
             fsImg.classList.add('scale-100');
         } else {
+            Zoom.reset();
             overlay.classList.add('opacity-0');
             fsImg.classList.remove('scale-100');
             fsImg.classList.add('scale-95');
@@ -859,14 +3961,24 @@ const Game = {
         // Initialize with nulls
         this.selectedIndices = new Array(this.targetWord.length).fill(null);
 
-        // Scramble letters
-        const letters = this.targetWord.split('');
-        // Fisher-Yates shuffle
-        for (let i = letters.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [letters[i], letters[j]] = [letters[j], letters[i]];
+        // Scramble letters plus decoys, seeded so every player sees the same layout; practice gets a fresh shuffle
+        const seed = `${this.daily ? this.daily.dateKey + ':' : ''}${this.currentPackId}:${this.currentLevelIndex}:${State.difficulty}`;
+        const rng = this.practice ? Math.random : Random.seeded(Random.hash(seed));
+        const letters = this.targetWord.split('').map(char => ({ char, decoy: false }));
+        for (let i = 0; i < Difficulty.current().decoys; i++) {
+            const char = Difficulty.ALPHABET[Math.floor(rng() * Difficulty.ALPHABET.length)];
+            letters.push({ char, decoy: true });
         }
-        this.scrambledLetters = letters.map((char, id) => ({ char, id: `l-${id}` })); // Add unique ID to handle duplicate letters
+        // Resets reshuffle the same tiles, so the decoys can't be spotted by what changes
+        const reshuffle = this.deals > 0 && !this.practice;
+        Random.shuffle(letters, reshuffle ? Random.seeded(Random.hash(`${seed}:${this.deals}`)) : rng);
+        this.deals++;
+        // Add unique ID to handle duplicate letters; a paid decoy removal survives resets
+        this.scrambledLetters = letters.map((letter, id) => ({
+            ...letter,
+            id: `l-${id}`,
+            removed: letter.decoy && this.decoysRemoved
+        }));
 
         this.render();
     },
@@ -874,41 +3986,98 @@ const Game = {
     render() {
         const wordDisplay = document.getElementById('word-display');
         const keyboard = document.getElementById('keyboard');
+        const refocus = this.focusedControl(wordDisplay, keyboard);
 
         wordDisplay.innerHTML = '';
         keyboard.innerHTML = '';
 
-        // Render Slots
-        for (let i = 0; i < this.targetWord.length; i++) {
-            const slot = document.createElement('div');
-            const selectedIndex = this.selectedIndices[i];
-
-            if (selectedIndex !== null) {
-                const letterObj = this.scrambledLetters[selectedIndex];
-                slot.className = 'letter-slot filled animate-pop';
-                slot.textContent = letterObj.char;
-                slot.onclick = () => this.deselectLetter(i);
-            } else {
-                slot.className = 'letter-slot';
-                // Optional: make empty slots clickable to move cursor?
-                // For now, just display.
+        // Render Slots, grouped per word unless the difficulty hides boundaries
+        const showBoundaries = Difficulty.current().wordBoundaries;
+        this.layout.forEach(word => {
+            let container = wordDisplay;
+            if (showBoundaries) {
+                container = document.createElement('div');
+                container.className = 'word-group';
+                wordDisplay.appendChild(container);
             }
-            wordDisplay.appendChild(slot);
-        }
+
+            word.forEach(glyph => {
+                container.appendChild(glyph.fixed ? this.renderFixedGlyph(glyph.char) : this.renderSlot(glyph.slot));
+            });
+        });
 
         // Render Keyboard
         this.scrambledLetters.forEach((letterObj, index) => {
-            const isSelected = this.isScrambledIndexSelected(index);
-            const tile = document.createElement('div');
-            tile.className = `letter-tile ${isSelected ? 'selected' : ''}`;
+            const isAvailable = this.isScrambledIndexAvailable(index);
+            const tile = document.createElement('button');
+            tile.className = `letter-tile ${isAvailable ? '' : 'selected'}`;
             tile.textContent = letterObj.char;
+            tile.setAttribute('aria-label', I18n.t('a11y.letter', { letter: letterObj.char }));
 
-            if (!isSelected) {
+            if (isAvailable) {
                 tile.onclick = () => this.selectLetter(index);
+            } else {
+                // Used tiles keep their place in the grid but drop out of the tab order
+                tile.disabled = true;
+                tile.setAttribute('aria-hidden', 'true');
             }
 
             keyboard.appendChild(tile);
         });
+
+        this.restoreFocus(refocus);
+    },
+
+    // Which board button has keyboard focus, so a re-render can put it back
+    focusedControl(wordDisplay, keyboard) {
+        const active = document.activeElement;
+        if (!active || active.tagName !== 'BUTTON') return null;
+        if (keyboard.contains(active)) return { container: keyboard, index: [...keyboard.children].indexOf(active) };
+        if (wordDisplay.contains(active)) return { container: wordDisplay, index: [...wordDisplay.querySelectorAll('button')].indexOf(active) };
+        return null;
+    },
+
+    // Same spot if it can still be pressed, else the nearest button that can
+    restoreFocus(refocus) {
+        if (!refocus) return;
+        const buttons = [...refocus.container.querySelectorAll('button')];
+        const candidates = buttons.slice(refocus.index).concat(buttons.slice(0, refocus.index).reverse());
+        const target = candidates.find(btn => !btn.disabled) || [...document.getElementById('keyboard').children].find(btn => !btn.disabled);
+        if (target) target.focus();
+    },
+
+    renderSlot(i) {
+        const slot = document.createElement('button');
+        const selectedIndex = this.selectedIndices[i];
+        const position = { n: i + 1, total: this.selectedIndices.length };
+
+        if (selectedIndex !== null) {
+            const letterObj = this.scrambledLetters[selectedIndex];
+            slot.className = 'letter-slot filled animate-pop';
+            slot.textContent = letterObj.char;
+            slot.setAttribute('aria-label', I18n.t('a11y.slotFilled', { ...position, letter: letterObj.char }));
+            slot.onclick = () => this.deselectLetter(i);
+        } else {
+            slot.className = 'letter-slot';
+            slot.setAttribute('aria-label', I18n.t('a11y.slotEmpty', position));
+        }
+
+        // While a letter hint is pending, any slot that isn't right yet can be picked
+        if (this.pickingSlot && !this.isSlotCorrect(i)) {
+            slot.classList.add('pickable');
+            if (i === this.slotCursor) slot.classList.add('cursor');
+            slot.setAttribute('aria-label', I18n.t('a11y.slotPick', position));
+            slot.onclick = () => this.revealLetter(i);
+        }
+        slot.disabled = !slot.onclick;
+        return slot;
+    },
+
+    renderFixedGlyph(char) {
+        const glyph = document.createElement('div');
+        glyph.className = 'letter-slot fixed';
+        glyph.textContent = char;
+        return glyph;
     },
 
     selectLetter(scrambledIndex) {
@@ -917,13 +4086,16 @@ const Game = {
 
         if (emptySlotIndex !== -1) {
             this.selectedIndices[emptySlotIndex] = scrambledIndex;
+            A11y.announce(I18n.t('a11y.placed', { letter: this.scrambledLetters[scrambledIndex].char, n: emptySlotIndex + 1, total: this.selectedIndices.length }));
             this.render();
             this.checkWin();
         }
     },
 
     deselectLetter(slotIndex) {
+        const letterObj = this.scrambledLetters[this.selectedIndices[slotIndex]];
         this.selectedIndices[slotIndex] = null;
+        A11y.announce(I18n.t('a11y.removed', { letter: letterObj.char, n: slotIndex + 1 }));
         this.render();
     },
 
@@ -938,6 +4110,8 @@ const Game = {
                 this.handleWin();
             }, 300);
         } else {
+            this.wrongAttempts++;
+            A11y.announce(I18n.t('a11y.wrong'));
             // Shake animation for wrong answer
             const slots = document.getElementById('word-display');
             slots.classList.add('animate-shake');
@@ -945,13 +4119,46 @@ const Game = {
         }
     },
 
+    // Which kind of play this is, for Bus listeners
+    mode() {
+        if (this.blitz) return 'blitz';
+        if (this.practice) return 'practice';
+        if (this.daily) return 'daily';
+        return 'pack';
+    },
+
+    levelEvent(extra = {}) {
+        return { packId: this.currentPackId, levelIndex: this.currentLevelIndex, mode: this.mode(), ...extra };
+    },
+
+    // How hard the current level has been so far
+    effort() {
+        return { hintsUsed: this.hintsUsed, wrong: this.wrongAttempts, seconds: (Clock.now() - this.startedAt) / 1000 };
+    },
+
     handleWin() {
-        State.completeLevel(this.currentPackId, this.currentLevelIndex);
-        State.addCoins(10); // Reward
-        this.showCompletionModal();
+        // Rewards and progress are applied by the listeners, see State.listen
+        const solved = Bus.emit('level-solved', this.levelEvent({
+            dateKey: this.daily ? this.daily.dateKey : null,
+            revealed: Reveal.isActive() ? this.revealStage / Reveal.STAGES : null,
+            ...this.effort()
+        }));
+
+        // Show the whole picture once it's solved
+        this.stopRevealTimer();
+        this.revealStage = Reveal.STAGES;
+        this.drawImage();
+
+        if (this.blitz) {
+            A11y.announce(I18n.t('a11y.solved', { answer: this.currentRawWord }));
+            Blitz.onSolved(this.targetWord.length, this.hintsUsed);
+            return;
+        }
+        this.showCompletionModal(solved.eventReward);
     },
 
-    showCompletionModal() {
+    // eventReward: set when this level finished an event and paid out its completion reward
+    showCompletionModal(eventReward = null) {
         const modal = document.getElementById('completion-modal');
         const content = document.getElementById('modal-content');
         const answerEl = document.getElementById('modal-answer');
@@ -962,137 +4169,292 @@ const Game = {
         // Let's fetch raw word again.
         // Get original word with spaces if possible
         answerEl.textContent = this.currentRawWord;
+        LevelInfo.render(document.getElementById('modal-details'), this.level);
+        // The modal is shared with the Blitz results, which rewrite these
+        document.getElementById('modal-title').textContent = I18n.t(this.practice ? 'game.practiceSolved' : 'game.levelComplete');
+        document.getElementById('modal-subtitle').textContent = I18n.t('game.answerWas');
+        const rewardEl = document.getElementById('modal-reward');
+        const rewardText = eventReward ? I18n.t('event.completeReward', { reward: Events.rewardText(eventReward) }) : '';
+        rewardEl.classList.toggle('hidden', !eventReward);
+        rewardEl.textContent = rewardText;
+
+        A11y.announce(`${I18n.t('a11y.solved', { answer: this.currentRawWord })} ${rewardText}`.trim());
 
         modal.style.opacity = '1';
         modal.style.pointerEvents = 'auto';
         content.classList.remove('scale-95');
         content.classList.add('scale-100');
+        A11y.openDialog(modal, continueBtn);
 
         continueBtn.onclick = () => {
             modal.style.opacity = '0';
             modal.style.pointerEvents = 'none';
             content.classList.remove('scale-100');
             content.classList.add('scale-95');
+            A11y.closeDialog(modal);
 
             this.nextLevel();
         };
     },
 
     nextLevel() {
+        if (this.daily) {
+            Router.navigate('index.html');
+            return;
+        }
+
         const pack = DataLoader.getPack(this.currentPackId);
         const maxLevel = pack.lvls;
-        if (this.currentLevelIndex + 1 < maxLevel) {
-            // Next level
-            window.location.href = `game.html?id=${this.currentPackId}&level=${this.currentLevelIndex + 1}`;
+        if (this.practice === 'level') {
+            Router.navigate(`index.html?${new URLSearchParams({ id: this.currentPackId })}`);
+        } else if (this.currentLevelIndex + 1 < maxLevel) {
+            // Next level, staying in practice for a whole-pack replay
+            const next = { id: this.currentPackId, level: this.currentLevelIndex + 1 };
+            if (this.practice) next.practice = this.practice;
+            Router.navigate(`index.html?${new URLSearchParams(next)}`);
         } else {
-            window.location.href = `levels.html?id=${this.currentPackId}`;
+            Router.navigate(`index.html?${new URLSearchParams({ id: this.currentPackId })}`);
         }
     },
 
-    useHint() {
-        if (State.deductCoins(20)) {
-            // Find the first slot that is either empty or wrong
-            let slotToFix = -1;
+    // Hints, decoy removal and skips cost nothing in practice
+    priceOf(action) {
+        return this.practice ? 0 : Hints.PRICES[action];
+    },
 
-            for (let i = 0; i < this.targetWord.length; i++) {
-                const correctChar = this.targetWord[i];
-                const selectedIdx = this.selectedIndices[i];
+    spend(action, reason) {
+        const price = this.priceOf(action);
+        if (price > 0 && !State.deductCoins(price, reason)) return false;
+        if (action !== 'skip') Bus.emit('hint-used', this.levelEvent({ hint: action, price }));
+        return true;
+    },
 
-                if (selectedIdx === null) {
-                    slotToFix = i;
-                    break;
-                }
+    isSlotCorrect(slotIdx) {
+        const selectedIdx = this.selectedIndices[slotIdx];
+        return selectedIdx !== null && this.scrambledLetters[selectedIdx].char === this.targetWord[slotIdx];
+    },
 
-                const currentLetter = this.scrambledLetters[selectedIdx].char;
-                if (currentLetter !== correctChar) {
-                    slotToFix = i;
-                    break;
-                }
-            }
+    isHintAvailable(id) {
+        if (id === 'letter') return this.selectedIndices.some((_, i) => !this.isSlotCorrect(i));
+        if (id === 'remove-decoys') return !this.decoysRemoved && this.scrambledLetters.some(l => l.decoy && !l.removed);
+        if (id === 'first-letters') {
+            return this.layout.some(word => {
+                const first = word.find(glyph => !glyph.fixed);
+                return first && !this.isSlotCorrect(first.slot);
+            });
+        }
+        if (id === 'clue') return !!this.level && this.cluesShown < Hints.cluesFor(this.level).length;
+        if (id === 'reveal') return Reveal.isActive() && this.revealStage < Reveal.STAGES;
+        return false;
+    },
 
-            if (slotToFix !== -1) {
-                const correctChar = this.targetWord[slotToFix];
-
-                // Find a scrambled index for this char
-                // Prioritize one that is NOT selected
-                let bestScrambledIdx = -1;
-                let usedScrambledIdx = -1;
-
-                for (let i = 0; i < this.scrambledLetters.length; i++) {
-                    if (this.scrambledLetters[i].char === correctChar) {
-                        if (!this.isScrambledIndexSelected(i)) {
-                            bestScrambledIdx = i;
-                            break; // Found a free one, perfect
-                        } else {
-                            usedScrambledIdx = i; // Keep as backup
-                        }
-                    }
-                }
+    isFullScreenOpen() {
+        const overlay = document.getElementById('fullscreen-image-overlay');
+        return overlay && !overlay.classList.contains('pointer-events-none');
+    },
+
+    isHintMenuOpen() {
+        const menu = document.getElementById('hint-menu');
+        return menu && menu.style.opacity === '1';
+    },
 
-                const finalScrambledIdx = bestScrambledIdx !== -1 ? bestScrambledIdx : usedScrambledIdx;
+    openHintMenu() {
+        const options = document.getElementById('hint-options');
+        options.innerHTML = '';
+
+        Hints.TYPES.forEach((type, index) => {
+            const available = this.isHintAvailable(type.id);
+            const price = this.priceOf(type.id);
+            const btn = document.createElement('button');
+            btn.className = `w-full flex items-center gap-3 p-3 rounded-xl border border-white/10 text-left transition-colors ${available ? 'bg-white/5 hover:bg-white/10' : 'opacity-40 cursor-not-allowed'}`;
+            btn.disabled = !available;
+            btn.innerHTML = `
+                <span class="text-2xl">${type.icon}</span>
+                <span class="flex-1">
+                    <span class="block text-sm font-bold text-white">${I18n.t(`hint.${type.id}.label`)} <span class="hidden md:inline opacity-50 font-normal">[${index + 1}]</span></span>
+                    <span class="block text-xs text-white/50">${I18n.t(`hint.${type.id}.description`)}</span>
+                </span>
+                <span class="text-sm font-bold text-cinema-gold">${price ? `🪙 ${I18n.number(price)}` : I18n.t('game.free')}</span>
+            `;
+            btn.onclick = () => this.chooseHint(type.id);
+            options.appendChild(btn);
+        });
 
-                if (finalScrambledIdx !== -1) {
-                    // If the letter was already used elsewhere, remove it from its old position
-                    // Since we might have picked `usedScrambledIdx`, it means it's currently in `selectedIndices`.
-                    // We need to set that slot to null.
+        const menu = document.getElementById('hint-menu');
+        menu.style.opacity = '1';
+        menu.style.pointerEvents = 'auto';
+    },
 
-                    const oldSlotIdx = this.selectedIndices.indexOf(finalScrambledIdx);
-                    if (oldSlotIdx !== -1) {
-                        this.selectedIndices[oldSlotIdx] = null;
-                    }
+    closeHintMenu() {
+        const menu = document.getElementById('hint-menu');
+        menu.style.opacity = '0';
+        menu.style.pointerEvents = 'none';
+    },
 
-                    // Now, we also need to clear whatever was at `slotToFix` (if anything)
-                    // But wait, if we just overwrite `slotToFix`, the letter that was there (if any) becomes "deselected" automatically
-                    // because `selectedIndices` is the only source of truth for "selected".
-                    // So we don't need to do anything special to "return" the old letter to the keyboard.
-                    // It just won't be in `selectedIndices` anymore.
+    chooseHint(id) {
+        if (!this.isHintAvailable(id)) return;
+        this.closeHintMenu();
+
+        if (id === 'letter') {
+            this.startSlotPick();
+        } else if (id === 'remove-decoys') {
+            this.removeDecoys();
+        } else if (id === 'first-letters') {
+            this.revealFirstLetters();
+        } else if (id === 'clue') {
+            this.revealClue();
+        } else if (id === 'reveal') {
+            this.buyReveal();
+        }
+    },
 
-                    this.selectedIndices[slotToFix] = finalScrambledIdx;
+    // Letter hints are paid for once the slot is chosen
+    startSlotPick() {
+        this.pickingSlot = true;
+        this.slotCursor = this.selectedIndices.findIndex((_, i) => !this.isSlotCorrect(i));
 
-                    this.render();
-                    this.checkWin();
-                }
+        const status = document.getElementById('hint-status');
+        status.textContent = I18n.t(window.innerWidth >= 768 ? 'hint.pickSlotKeys' : 'hint.pickSlotTap');
+        status.classList.remove('hidden');
+        this.render();
+    },
+
+    endSlotPick() {
+        this.pickingSlot = false;
+        document.getElementById('hint-status').classList.add('hidden');
+    },
+
+    revealLetter(slotIdx) {
+        this.endSlotPick();
+        if (this.spend('letter', 'hint')) {
+            this.hintsUsed++;
+            this.placeCorrectLetter(slotIdx);
+            A11y.announce(I18n.t('a11y.hinted', { n: slotIdx + 1, letter: this.targetWord[slotIdx] }));
+            this.render();
+            this.checkWin();
+        } else {
+            this.render();
+            alert(I18n.t('common.notEnoughCoins'));
+        }
+    },
+
+    revealFirstLetters() {
+        if (this.spend('first-letters', 'first-letters')) {
+            this.hintsUsed++;
+            this.layout.forEach(word => {
+                const first = word.find(glyph => !glyph.fixed);
+                if (first && !this.isSlotCorrect(first.slot)) this.placeCorrectLetter(first.slot);
+            });
+            this.render();
+            this.checkWin();
+        } else {
+            alert(I18n.t('common.notEnoughCoins'));
+        }
+    },
+
+    revealClue() {
+        if (this.spend('clue', 'clue')) {
+            this.hintsUsed++;
+            this.cluesShown++;
+            this.renderClues();
+        } else {
+            alert(I18n.t('common.notEnoughCoins'));
+        }
+    },
+
+    renderClues() {
+        const list = document.getElementById('clue-list');
+        list.innerHTML = '';
+        if (!this.level) return;
+        Hints.cluesFor(this.level).slice(0, this.cluesShown).forEach(clue => {
+            const chip = document.createElement('span');
+            chip.className = 'text-xs bg-white/5 border border-white/10 rounded-full px-3 py-1 text-white/80 animate-fade-in';
+            const label = document.createElement('span');
+            label.className = 'text-white/40';
+            label.textContent = `${I18n.t(clue.label)}: `;
+            chip.append(label, clue.text);
+            list.appendChild(chip);
+        });
+    },
+
+    // Put the right tile in a slot, pulling it out of wherever it sat before
+    placeCorrectLetter(slotIdx) {
+        const correctChar = this.targetWord[slotIdx];
+        let freeIdx = -1;
+        let usedIdx = -1;
+
+        for (let i = 0; i < this.scrambledLetters.length; i++) {
+            const letter = this.scrambledLetters[i];
+            if (letter.char !== correctChar || letter.removed) continue;
+
+            if (!this.isScrambledIndexSelected(i)) {
+                // Prefer a real tile so a later decoy removal can't undo the hint
+                if (freeIdx === -1 || this.scrambledLetters[freeIdx].decoy) freeIdx = i;
+            } else if (usedIdx === -1 || this.isSlotCorrect(this.selectedIndices.indexOf(usedIdx))) {
+                // Only take a tile from a slot where it is already right as a last resort
+                usedIdx = i;
             }
+        }
+
+        const tileIdx = freeIdx !== -1 ? freeIdx : usedIdx;
+        if (tileIdx === -1) return;
+
+        const oldSlotIdx = this.selectedIndices.indexOf(tileIdx);
+        if (oldSlotIdx !== -1) this.selectedIndices[oldSlotIdx] = null;
+        this.selectedIndices[slotIdx] = tileIdx;
+    },
+
+    removeDecoys() {
+        if (this.decoysRemoved || !this.scrambledLetters.some(l => l.decoy)) return;
+
+        if (this.spend('remove-decoys', 'remove-decoys')) {
+            this.decoysRemoved = true;
+            this.scrambledLetters.forEach((letter, index) => {
+                if (!letter.decoy) return;
+                letter.removed = true;
+                // Pull the decoy back out of any slot it was placed in
+                const slotIdx = this.selectedIndices.indexOf(index);
+                if (slotIdx !== -1) this.selectedIndices[slotIdx] = null;
+            });
+            this.render();
         } else {
-            alert('Not enough coins!');
+            alert(I18n.t('common.notEnoughCoins'));
         }
     },
 
     skipLevel() {
-        if (State.deductCoins(50)) {
-            State.completeLevel(this.currentPackId, this.currentLevelIndex);
-            this.showCompletionModal();
+        if (this.daily) return;
+
+        // Blitz skips cost time instead of coins
+        if (this.blitz) {
+            Blitz.skip();
+            return;
+        }
+
+        if (this.practice) {
+            this.nextLevel();
+            return;
+        }
+
+        if (this.spend('skip', 'skip')) {
+            const skipped = Bus.emit('level-skipped', this.levelEvent(this.effort()));
+            this.showCompletionModal(skipped.eventReward);
         } else {
-            alert('Not enough coins!');
+            alert(I18n.t('common.notEnoughCoins'));
         }
     }
 };
 
 // Initialize
 window.addEventListener('DOMContentLoaded', async () => {
+    // Install prompt, service worker and update notices (before the await so no event is missed)
+    Pwa.init();
+
+    await I18n.init(); // Strings first: loading the save may already need to show a message
     await State.init();
+    Achievements.init(); // After State, whose listeners have to run first
+    Stats.init();
     Input.init(); // Initialize Global Input
-
-    // Determine current page and init based on DOM elements
-    if (document.getElementById('packs-list')) {
-        Home.init();
-    } else if (document.getElementById('levels-grid')) {
-        Album.init();
-    } else if (document.getElementById('word-display')) {
-        Game.init();
-    }
-
-    // Mobile Banner Logic
-    const banner = document.getElementById('mobile-banner');
-    const closeBtn = document.getElementById('close-banner');
-    const app = document.getElementById('app');
-
-    if (closeBtn && banner) {
-        closeBtn.onclick = () => {
-            banner.style.display = 'none'; // Completely remove from flow/view
-            if (app) {
-                app.classList.remove('pt-14'); // Remove top padding
-            }
-        };
-    }
+    Controller.init();
+    Router.init();
 });
@@ -0,0 +1,136 @@
+// --- Service Worker: offline play ---
+const SHELL_CACHE = 'bollywood-shell-v3';
+const PACK_CACHE = 'bollywood-packs-v1'; // Filled from the page by "Download for offline"
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'levels.html', // Redirect stubs for old links
+    'game.html',
+    'style.css',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/apple-touch-icon.png',
+    'data/allLevelDetails_v1.json',
+    'data/event_allLevelDetails_v1.json',
+    'data/allActors.txt',
+    'data/locales/en.json',
+    'data/locales/hi.json'
+];
+
+// Third-party scripts and styles the pages can't run without
+const CDN_FILES = [
+    'https://cdn.tailwindcss.com',
+    'https://cdnjs.cloudflare.com/ajax/libs/crypto-js/4.1.1/crypto-js.min.js',
+    'https://fonts.googleapis.com/css2?family=Outfit:wght@300;400;600;800&display=swap'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_FILES);
+
+        // Cross-origin files are stored as opaque responses; a miss here shouldn't block install
+        await Promise.all(CDN_FILES.map(async (url) => {
+            try {
+                const res = await fetch(new Request(url, { mode: 'no-cors' }));
+                await cache.put(url, res);
+            } catch (e) {
+                console.warn(`Could not precache ${url}:`, e);
+            }
+        }));
+
+        // A first install can take over right away; updates wait for the player to accept the reload
+        if (!self.registration.active) self.skipWaiting();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+async function notifyUpdate(url) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'UPDATE_AVAILABLE', url }));
+}
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('bollywood-shell-') && key !== SHELL_CACHE)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+// Serve the cached shell instantly, refresh it in the background and tell the pages when a deploy changed it
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const refresh = fetch(request).then(async (res) => {
+        if (!res.ok) return res;
+        const key = new URL(request.url);
+        key.search = '';
+        if (cached) {
+            const [oldBody, newBody] = await Promise.all([cached.clone().text(), res.clone().text()]);
+            if (oldBody !== newBody) notifyUpdate(key.pathname);
+        }
+        await cache.put(key.href, res.clone());
+        return res;
+    });
+
+    if (cached) {
+        refresh.catch(() => { /* Offline: the cached copy is all we have */ });
+        return cached;
+    }
+    return refresh;
+}
+
+// Network first so fresh data shows up right away; the cached copy covers offline
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const res = await fetch(request);
+        // Pack data is only kept for packs the player downloaded
+        if (res.ok && await cache.match(request)) {
+            cache.put(request, res.clone());
+        }
+        return res;
+    } catch (e) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw e;
+    }
+}
+
+// Images and CDN files don't change once published, so any cached copy is good
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    return fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin) {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+
+    const path = decodeURIComponent(url.pathname);
+    if (/\/img\/\d+\.webp$/.test(path)) {
+        event.respondWith(cacheFirst(request));
+    } else if (/\/units\.json$/.test(path)) {
+        event.respondWith(networkFirst(request, PACK_CACHE));
+    } else {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/*
+ * Star and coin economy report. Simulates a player working through every pack and prints the
+ * unlock progression, then flags packs that can never be reached and points where play stalls.
+ *
+ *   node tools/economy.js [--hint-rate N] [--skip-rate N] [--daily-per-pack N] [--revealed N]
+ *
+ *   --hint-rate       Letter hints bought per level on average (default 0)
+ *   --skip-rate       Share of levels skipped, 0 to 1 (default 0)
+ *   --daily-per-pack  Daily challenges solved while playing each pack, on a running streak (default 0)
+ *   --revealed        Plays with a reveal mode on, solving with this share of the image showing, 0 to 1
+ *                     (default: reveal mode off, no bonus)
+ *
+ * Prices and rewards are read from script.js itself, so the report follows the game's real numbers.
+ * Only first solves pay: replays are practice runs, which earn nothing.
+ * Exits with 1 when a pack is unreachable or the simulated player gets stuck.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const PACKS_FILE = path.join(ROOT, 'data', 'allLevelDetails_v1.json');
+const EVENTS_FILE = path.join(ROOT, 'data', 'event_allLevelDetails_v1.json');
+
+// --- Game constants ---
+// script.js only touches the DOM inside functions, so its modules can be evaluated with a stub window
+function loadGameConstants() {
+    const code = fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8');
+    const context = vm.createContext({ window: { addEventListener() {} }, console });
+    const { State, Hints, Daily, Reveal } = vm.runInContext(`${code}\n;({ State, Hints, Daily, Reveal })`, context);
+
+    return {
+        startingCoins: State.coins,
+        winReward: Hints.WIN_REWARD,
+        rewardFor: revealed => Reveal.rewardFor(revealed),
+        prices: Hints.PRICES,
+        daily: Daily
+    };
+}
+
+function loadPacks() {
+    const read = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+    return [
+        ...read(PACKS_FILE).map(pack => ({ ...pack, type: 'pack' })),
+        ...read(EVENTS_FILE).map(pack => ({ ...pack, type: 'event' }))
+    ];
+}
+
+// Same rules as State.isPackUnlocked
+function isOpen(pack, stars, purchased) {
+    if (purchased.has(pack.name)) return true;
+    if (pack.star !== null && pack.star !== undefined && pack.star > 0) return stars >= pack.star;
+    return !(pack.cost > 0);
+}
+
+// --- Simulation ---
+function simulate(packs, game, options) {
+    const purchased = new Set();
+    const done = new Set();
+    const steps = [];
+    let coins = game.startingCoins;
+    let stars = 0;
+    let streak = 0;
+    let stall = null;
+
+    while (done.size < packs.length) {
+        const next = packs.find(pack => !done.has(pack.name) && isOpen(pack, stars, purchased));
+
+        if (!next) {
+            // Nothing left to play for free: buy the cheapest pack the player can afford
+            const buyable = packs
+                .filter(pack => !done.has(pack.name) && pack.cost > 0)
+                .sort((a, b) => a.cost - b.cost);
+            const pick = buyable.find(pack => pack.cost <= coins);
+            if (!pick) {
+                stall = { coins, stars, cheapest: buyable[0] || null };
+                break;
+            }
+            coins -= pick.cost;
+            purchased.add(pick.name);
+            steps.push({ pack: pick, how: `bought for ${pick.cost}`, starsBefore: stars, coinsBefore: coins + pick.cost });
+            continue;
+        }
+
+        const step = steps.find(s => s.pack === next && s.coinsAfter === undefined);
+        const entry = step || { pack: next, how: next.star > 0 ? `${next.star} stars` : 'free', starsBefore: stars, coinsBefore: coins };
+        if (!step) steps.push(entry);
+
+        // Skipped levels still count as completed (and earn their star) but pay no win reward
+        const skips = Math.round(next.lvls * options.skipRate);
+        const hints = Math.round(next.lvls * options.hintRate);
+        const spent = skips * game.prices.skip + hints * game.prices.letter;
+        let earned = (next.lvls - skips) * game.rewardFor(options.revealed);
+        // Events pay their completion reward on top (the simulation assumes they're running)
+        if (next.reward && next.reward.coins) earned += next.reward.coins;
+        for (let d = 0; d < options.dailyPerPack; d++) {
+            streak++;
+            earned += game.daily.rewardFor(streak);
+        }
+
+        entry.short = coins + earned < spent;
+        coins = Math.max(coins + earned - spent, 0);
+        if (next.is_star) stars += next.lvls;
+        done.add(next.name);
+        entry.starsAfter = stars;
+        entry.coinsAfter = coins;
+    }
+
+    return { steps, stall, done, coins, stars };
+}
+
+// --- Checks ---
+function findProblems(packs, result) {
+    const problems = [];
+    const starTotal = packs.filter(pack => pack.is_star).reduce((sum, pack) => sum + pack.lvls, 0);
+
+    packs.forEach(pack => {
+        const ownStars = pack.is_star ? pack.lvls : 0;
+        if (pack.star > starTotal - ownStars) {
+            problems.push(pack.cost > 0
+                ? `${pack.name}: star gate ${pack.star} can never be met (only ${starTotal - ownStars} stars exist elsewhere); coins are the only way in`
+                : `${pack.name}: unreachable, needs ${pack.star} stars but only ${starTotal - ownStars} exist elsewhere and it can't be bought`);
+        }
+        if (!result.done.has(pack.name)) problems.push(`${pack.name}: never reached in the simulation`);
+    });
+
+    if (result.stall) {
+        const { coins, stars, cheapest } = result.stall;
+        problems.push(cheapest
+            ? `Dead end with ${stars} stars and ${coins} coins: the cheapest locked pack (${cheapest.name}) costs ${cheapest.cost}`
+            : `Dead end with ${stars} stars and ${coins} coins: the remaining packs are star-gated and can't be bought`);
+    }
+    result.steps.filter(step => step.short).forEach(step => {
+        problems.push(`${step.pack.name}: the player runs out of coins for hints and skips while playing it`);
+    });
+    return problems;
+}
+
+// --- Report ---
+function pad(value, width) {
+    return String(value).padEnd(width);
+}
+
+function report(packs, game, options) {
+    const result = simulate(packs, game, options);
+
+    console.log(`Start: ${game.startingCoins} coins • win ${game.winReward} • hint ${game.prices.letter} • skip ${game.prices.skip}`);
+    const reveal = options.revealed === null ? 'reveal off' : `solves at ${options.revealed * 100}% revealed`;
+    console.log(`Player: ${options.hintRate} hints/level • ${options.skipRate * 100}% skipped • ${options.dailyPerPack} daily/pack • ${reveal}`);
+    console.log('');
+    console.log(`${pad('#', 4)}${pad('Pack', 14)}${pad('Unlocked by', 18)}${pad('Stars', 14)}Coins`);
+    result.steps.forEach((step, i) => {
+        const starCol = `${step.starsBefore} → ${step.starsAfter ?? '-'}`;
+        const coinCol = `${step.coinsBefore} → ${step.coinsAfter ?? '-'}`;
+        console.log(`${pad(i + 1, 4)}${pad(step.pack.name, 14)}${pad(step.how, 18)}${pad(starCol, 14)}${coinCol}`);
+    });
+
+    const problems = findProblems(packs, result);
+    console.log('');
+    if (problems.length === 0) {
+        console.log(`All ${packs.length} packs reachable. Finished with ${result.stars} stars and ${result.coins} coins.`);
+        return 0;
+    }
+    problems.forEach(problem => console.log(`✖ ${problem}`));
+    return 1;
+}
+
+function parseOptions(argv) {
+    const options = { hintRate: 0, skipRate: 0, dailyPerPack: 0, revealed: null };
+    const names = { '--hint-rate': 'hintRate', '--skip-rate': 'skipRate', '--daily-per-pack': 'dailyPerPack', '--revealed': 'revealed' };
+    for (let i = 0; i < argv.length; i++) {
+        const key = names[argv[i]];
+        const value = Number(argv[i + 1]);
+        if (!key || Number.isNaN(value) || value < 0) {
+            throw new Error(`Unknown option or bad value: ${argv[i]} ${argv[i + 1] || ''}`);
+        }
+        options[key] = value;
+        i++;
+    }
+    options.skipRate = Math.min(options.skipRate, 1);
+    if (options.revealed !== null) options.revealed = Math.min(options.revealed, 1);
+    return options;
+}
+
+try {
+    process.exitCode = report(loadPacks(), loadGameConstants(), parseOptions(process.argv.slice(2)));
+} catch (e) {
+    console.log(e.message);
+    console.log('Usage: node tools/economy.js [--hint-rate N] [--skip-rate N] [--daily-per-pack N] [--revealed N]');
+    process.exitCode = 1;
+}
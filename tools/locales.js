@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/*
+ * String catalog check. Finds every key the game asks for and reports the ones missing from
+ * data/locales/en.json, then compares each other locale against English.
+ *
+ *   node tools/locales.js
+ *
+ * Keys come from I18n.t('...') calls and data-i18n attributes, plus the ones script.js builds from
+ * ids (difficulty levels, hint types, reveal modes, achievements, stats columns, page titles).
+ * Exits with 1 when English is missing a key, or a locale has a string English doesn't or with other
+ * {placeholders}. Strings a locale hasn't translated yet are only listed, since they fall back to English.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const LOCALES = path.join(ROOT, 'data', 'locales');
+
+// --- Keys used by the game ---
+function usedKeys() {
+    const code = fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8');
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const keys = new Set();
+
+    // Any dotted string literal may be a key; check() drops the ones outside the catalog's namespaces
+    for (const match of code.matchAll(/['`]((?:[a-z0-9]+\.)+[a-zA-Z0-9]+)['`]/g)) keys.add(match[1]);
+    for (const match of html.matchAll(/data-i18n(?:-[a-z-]+)?="([^"]+)"/g)) keys.add(match[1]);
+
+    // Same stub window as tools/economy.js: the modules load without touching the DOM
+    const context = vm.createContext({ window: { addEventListener() {} }, console });
+    const { Difficulty, Hints, Reveal, Achievements } = vm.runInContext(
+        `${code}\n;({ Difficulty, Hints, Reveal, Achievements })`, context);
+    Object.keys(Difficulty.LEVELS).forEach(level => keys.add(`difficulty.${level}`));
+    Hints.TYPES.forEach(type => ['label', 'description'].forEach(part => keys.add(`hint.${type.id}.${part}`)));
+    Object.keys(Reveal.MODES).forEach(mode => keys.add(`reveal.${mode}`));
+    Achievements.LIST.forEach(({ id }) => ['name', 'description'].forEach(part => keys.add(`achievement.${id}.${part}`)));
+    ['played', 'average', 'hints', 'wrong', 'skips'].forEach(column => keys.add(`stats.column.${column}`));
+    ['home', 'album', 'game', 'badges', 'stats'].forEach(view => keys.add(`title.${view}`));
+    return keys;
+}
+
+function readCatalogs() {
+    return Object.fromEntries(fs.readdirSync(LOCALES)
+        .filter(file => file.endsWith('.json'))
+        .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(LOCALES, file), 'utf8'))]));
+}
+
+// --- Checks ---
+function placeholders(entry) {
+    const texts = typeof entry === 'object' ? Object.values(entry) : [entry];
+    return [...new Set(texts.flatMap(text => [...text.matchAll(/\{(\w+)\}/g)].map(m => m[1])))].sort().join(',');
+}
+
+function check() {
+    const catalogs = readCatalogs();
+    const en = catalogs.en;
+    if (!en) throw new Error(`No en.json in ${LOCALES}`);
+
+    const namespaces = new Set(Object.keys(en).map(key => key.split('.')[0]));
+    const used = [...usedKeys()].filter(key => namespaces.has(key.split('.')[0]));
+    const errors = [];
+    const warnings = [];
+
+    used.filter(key => !(key in en)).forEach(key => errors.push(`en: missing "${key}"`));
+    Object.keys(en).filter(key => !used.includes(key)).forEach(key => warnings.push(`en: "${key}" is never used`));
+
+    Object.entries(catalogs).filter(([locale]) => locale !== 'en').forEach(([locale, catalog]) => {
+        Object.keys(en).filter(key => !(key in catalog)).forEach(key => warnings.push(`${locale}: "${key}" not translated`));
+        Object.entries(catalog).forEach(([key, entry]) => {
+            if (!(key in en)) {
+                errors.push(`${locale}: "${key}" is not in en.json`);
+            } else if (placeholders(entry) !== placeholders(en[key])) {
+                errors.push(`${locale}: "${key}" uses {${placeholders(entry)}}, English uses {${placeholders(en[key])}}`);
+            }
+        });
+    });
+
+    warnings.forEach(warning => console.log(`⚠ ${warning}`));
+    errors.forEach(error => console.log(`✖ ${error}`));
+    if (errors.length === 0) {
+        console.log(`${Object.keys(catalogs).length} locales, ${Object.keys(en).length} strings, ${used.length} in use. OK.`);
+        return 0;
+    }
+    return 1;
+}
+
+try {
+    process.exitCode = check();
+} catch (e) {
+    console.log(e.message);
+    process.exitCode = 1;
+}
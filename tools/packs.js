@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+/*
+ * Pack maintenance for the data folder. No dependencies, run from anywhere:
+ *
+ *   node tools/packs.js validate
+ *       Check every pack in the level-details JSON against its folder and report problems.
+ *       Exits with 1 when there are errors (warnings alone still pass).
+ *
+ *   node tools/packs.js regenerate
+ *       Rewrite both level-details JSON files, syncing each "lvls" with its units.json.
+ *
+ *   node tools/packs.js scaffold "<Pack Name>" --images <dir> --titles <file>
+ *       [--event] [--cost N] [--star N] [--is-star] [--cover N] [--des "Description"]
+ *       Create data/<Pack Name>/ (or data/Events/<Pack Name>/ with --event) from a folder of .webp
+ *       images and a titles list, then add the pack to the level-details JSON.
+ *       Images are numbered in file-name order; titles are one per line, or a units.json-style array.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const DATA = path.join(ROOT, 'data');
+const PACKS_FILE = path.join(DATA, 'allLevelDetails_v1.json');
+const EVENTS_FILE = path.join(DATA, 'event_allLevelDetails_v1.json');
+const ACTORS_FILE = path.join(DATA, 'allActors.txt');
+const EOL = '\r\n'; // The data files use Windows line endings
+
+// --- Reading ---
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function loadDetails() {
+    return {
+        packs: readJson(PACKS_FILE).map(pack => ({ ...pack, type: 'pack' })),
+        events: readJson(EVENTS_FILE).map(pack => ({ ...pack, type: 'event' }))
+    };
+}
+
+// Same layout as DataLoader.packPath in script.js
+function packDir(pack) {
+    return pack.type === 'event' ? path.join(DATA, 'Events', pack.name) : path.join(DATA, pack.name);
+}
+
+function answerOf(entry) {
+    return typeof entry === 'string' ? entry : (entry && entry.answer);
+}
+
+// Letters only, as the game and Actors.normalize compare titles
+function letters(text) {
+    return String(text).toUpperCase().replace(/[^A-Z]/g, '');
+}
+
+// --- Writing ---
+// allLevelDetails_v1.json keeps one pack per line
+function inlineObject(obj) {
+    return `{${Object.entries(obj).map(([key, value]) => `${JSON.stringify(key)}: ${JSON.stringify(value)}`).join(', ')}}`;
+}
+
+function strip(pack) {
+    const { type, ...rest } = pack;
+    return rest;
+}
+
+function writeDetails({ packs, events }) {
+    const packLines = packs.map(pack => `    ${inlineObject(strip(pack))}`);
+    fs.writeFileSync(PACKS_FILE, `[${EOL}${packLines.join(`,${EOL}`)}${EOL}]`);
+    fs.writeFileSync(EVENTS_FILE, JSON.stringify(events.map(strip), null, 4).replace(/\n/g, EOL));
+}
+
+function writeUnits(file, levels) {
+    fs.writeFileSync(file, JSON.stringify(levels, null, 4).replace(/\n/g, EOL));
+}
+
+// --- Validation ---
+function validateEntry(entry, index, report) {
+    const where = `level ${index + 1}`;
+    const answer = answerOf(entry);
+
+    if (typeof entry !== 'string' && (typeof entry !== 'object' || entry === null || Array.isArray(entry))) {
+        report.error(`${where} must be a title string or an object with an "answer"`);
+        return;
+    }
+    if (typeof answer !== 'string' || !answer.trim()) {
+        report.error(`${where} has no answer`);
+        return;
+    }
+    if (!letters(answer)) report.error(`${where} ("${answer}") has no letters to guess`);
+    if (typeof entry === 'string') return;
+
+    ['alternates', 'cast', 'clues'].forEach(key => {
+        if (entry[key] === undefined) return;
+        if (!Array.isArray(entry[key]) || entry[key].some(item => typeof item !== 'string')) {
+            report.error(`${where} "${key}" must be a list of strings`);
+        }
+    });
+    ['category', 'director', 'trivia'].forEach(key => {
+        if (entry[key] !== undefined && typeof entry[key] !== 'string') report.error(`${where} "${key}" must be a string`);
+    });
+    if (entry.year !== undefined && !Number.isInteger(entry.year)) report.error(`${where} "year" must be a whole number`);
+}
+
+function validateAliases(pack, report) {
+    if (pack.rev !== undefined && !(Number.isInteger(pack.rev) && pack.rev >= 1)) report.error('"rev" must be a whole number from 1');
+    if (pack.aliases === undefined) return;
+    if (!Array.isArray(pack.aliases)) {
+        report.error('"aliases" must be a list');
+        return;
+    }
+    pack.aliases.forEach((alias, i) => {
+        if (typeof alias === 'string') return;
+        if (!alias || typeof alias.id !== 'string') {
+            report.error(`alias ${i + 1} needs an "id"`);
+            return;
+        }
+        if (alias.levels !== undefined && (!Array.isArray(alias.levels) || alias.levels.some(l => l !== null && !(Number.isInteger(l) && l >= 0 && l < pack.lvls)))) {
+            report.error(`alias "${alias.id}" levels must be level indexes below ${pack.lvls} or null`);
+        }
+    });
+}
+
+// Optional "start"/"end" dates and completion "reward" on events
+function validateSchedule(pack, report) {
+    if (pack.type !== 'event') {
+        ['start', 'end', 'reward'].filter(key => pack[key] !== undefined)
+            .forEach(key => report.warn(`"${key}" only applies to events and is ignored here`));
+        return;
+    }
+    const times = {};
+    ['start', 'end'].forEach(key => {
+        if (pack[key] === undefined) return;
+        times[key] = typeof pack[key] === 'string' ? Date.parse(pack[key]) : NaN;
+        if (Number.isNaN(times[key])) report.error(`"${key}" must be a date like "2026-11-01T00:00:00Z", got ${JSON.stringify(pack[key])}`);
+    });
+    if (times.start >= times.end) report.error('"end" must come after "start"');
+    if (times.end < Date.now()) report.warn(`ended on ${pack.end} and only shows in the archive`);
+
+    const reward = pack.reward;
+    if (reward === undefined) return;
+    if (reward === null || typeof reward !== 'object' || Array.isArray(reward)) {
+        report.error('"reward" must be an object like { "coins": 200, "badge": { "id": "...", "name": "..." } }');
+        return;
+    }
+    if (reward.coins !== undefined && !(Number.isInteger(reward.coins) && reward.coins >= 0)) {
+        report.error(`"reward.coins" must be a whole number from 0, got ${JSON.stringify(reward.coins)}`);
+    }
+    if (reward.badge !== undefined && !(reward.badge && typeof reward.badge.name === 'string' && reward.badge.name.trim())) {
+        report.error('"reward.badge" needs a "name"');
+    }
+    if (!reward.coins && !reward.badge) report.warn('"reward" gives neither coins nor a badge');
+}
+
+function validatePack(pack, report) {
+    if (typeof pack.name !== 'string' || !pack.name.trim()) {
+        report.error('pack without a "name"');
+        return null;
+    }
+    if (!Number.isInteger(pack.lvls) || pack.lvls < 1) report.error(`"lvls" must be a positive whole number, got ${JSON.stringify(pack.lvls)}`);
+    if (typeof pack.cost !== 'number' || pack.cost < 0) report.error(`"cost" must be a number from 0, got ${JSON.stringify(pack.cost)}`);
+    if (pack.star !== null && pack.star !== undefined && !(Number.isInteger(pack.star) && pack.star >= 0)) {
+        report.error(`"star" must be a whole number from 0 or null, got ${JSON.stringify(pack.star)}`);
+    }
+    const cover = pack.cover === undefined ? 0 : pack.cover;
+    if (!Number.isInteger(cover) || cover < 0 || cover >= pack.lvls) {
+        report.error(`"cover" is ${JSON.stringify(pack.cover)} but must be a level index from 0 to ${pack.lvls - 1}`);
+    }
+    validateAliases(pack, report);
+    validateSchedule(pack, report);
+
+    const dir = packDir(pack);
+    if (!fs.existsSync(dir)) {
+        report.error(`folder ${path.relative(ROOT, dir)} is missing`);
+        return null;
+    }
+
+    let levels = null;
+    const unitsFile = path.join(dir, 'units.json');
+    try {
+        levels = readJson(unitsFile);
+        if (!Array.isArray(levels)) throw new Error('not a list');
+    } catch (e) {
+        report.error(`${path.relative(ROOT, unitsFile)} can't be read: ${e.message}`);
+        levels = null;
+    }
+
+    if (levels) {
+        if (levels.length !== pack.lvls) report.error(`units.json has ${levels.length} levels but "lvls" is ${pack.lvls}`);
+        levels.forEach((entry, i) => validateEntry(entry, i, report));
+
+        const seen = new Map();
+        levels.forEach((entry, i) => {
+            const key = letters(answerOf(entry) || '');
+            if (!key) return;
+            if (seen.has(key)) report.warn(`levels ${seen.get(key) + 1} and ${i + 1} have the same answer`);
+            else seen.set(key, i);
+        });
+    }
+
+    const imgDir = path.join(dir, 'img');
+    const images = fs.existsSync(imgDir) ? fs.readdirSync(imgDir) : [];
+    for (let i = 1; i <= pack.lvls; i++) {
+        if (!images.includes(`${i}.webp`)) report.error(`img/${i}.webp is missing`);
+    }
+    images
+        .filter(file => !(/^\d+\.webp$/.test(file) && parseInt(file, 10) >= 1 && parseInt(file, 10) <= pack.lvls))
+        .forEach(file => report.warn(`img/${file} is not used by any level`));
+
+    return levels;
+}
+
+// Star-gated packs must be reachable with the stars from easier star packs (1 star per level)
+function validateStars(all, reportFor) {
+    let earnable = 0;
+    all.filter(pack => Number.isInteger(pack.lvls))
+        .map(pack => ({ pack, star: Number.isInteger(pack.star) ? pack.star : 0 }))
+        .sort((a, b) => a.star - b.star)
+        .forEach(({ pack, star }) => {
+            if (star > earnable) {
+                reportFor(pack).error(`needs ${star} stars but only ${earnable} can be earned from packs that open before it`);
+            }
+            if (pack.is_star) earnable += pack.lvls;
+        });
+}
+
+// allActors.txt feeds the actor links in the game and must follow the Actors packs level by level
+function validateActors(packs, levelsByPack, report) {
+    if (!fs.existsSync(ACTORS_FILE)) {
+        report.error('data/allActors.txt is missing');
+        return;
+    }
+    const names = fs.readFileSync(ACTORS_FILE, 'utf8').split(/\r?\n/).map(letters).filter(Boolean);
+    const answers = packs
+        .filter(pack => /^Actors \d+$/.test(pack.name))
+        .sort((a, b) => parseInt(a.name.slice(7), 10) - parseInt(b.name.slice(7), 10))
+        .flatMap(pack => (levelsByPack.get(pack.name) || []).map((entry, i) => ({ pack, i, key: letters(answerOf(entry) || '') })));
+
+    answers.forEach(({ pack, i, key }, n) => {
+        if (names[n] !== key) report.error(`line ${n + 1} should be the answer to ${pack.name} level ${i + 1}`);
+    });
+    if (names.length > answers.length) report.error(`has ${names.length - answers.length} more names than the Actors packs have levels`);
+}
+
+function validate() {
+    let errors = 0;
+    let warnings = 0;
+    const reporter = (label) => ({
+        error(message) {
+            errors++;
+            console.log(`✖ ${label}: ${message}`);
+        },
+        warn(message) {
+            warnings++;
+            console.log(`⚠ ${label}: ${message}`);
+        }
+    });
+
+    let details;
+    try {
+        details = loadDetails();
+    } catch (e) {
+        console.log(`✖ level details: ${e.message}`);
+        return 1;
+    }
+
+    const all = [...details.packs, ...details.events];
+    const levelsByPack = new Map();
+    const names = new Set();
+
+    all.forEach(pack => {
+        const report = reporter(pack.name || '(unnamed)');
+        // The game looks packs up by name across both files
+        if (names.has(pack.name)) report.error('another pack has the same name');
+        names.add(pack.name);
+
+        const levels = validatePack(pack, report);
+        if (levels) levelsByPack.set(pack.name, levels);
+    });
+
+    validateStars(all, pack => reporter(pack.name));
+    validateActors(details.packs, levelsByPack, reporter('allActors.txt'));
+
+    // Folders nobody points at are usually a typo in the name
+    const known = new Set([...details.packs.map(pack => pack.name), 'Events', 'locales']);
+    fs.readdirSync(DATA, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !known.has(entry.name))
+        .forEach(entry => reporter(`data/${entry.name}`).warn('folder is not listed in allLevelDetails_v1.json'));
+    const knownEvents = new Set(details.events.map(pack => pack.name));
+    const eventsDir = path.join(DATA, 'Events');
+    if (fs.existsSync(eventsDir)) {
+        fs.readdirSync(eventsDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && !knownEvents.has(entry.name))
+            .forEach(entry => reporter(`data/Events/${entry.name}`).warn('folder is not listed in event_allLevelDetails_v1.json'));
+    }
+
+    console.log(`${all.length} packs checked: ${errors} error(s), ${warnings} warning(s)`);
+    return errors > 0 ? 1 : 0;
+}
+
+// --- Regenerate ---
+function regenerate() {
+    const details = loadDetails();
+    [...details.packs, ...details.events].forEach(pack => {
+        const unitsFile = path.join(packDir(pack), 'units.json');
+        if (!fs.existsSync(unitsFile)) {
+            console.log(`⚠ ${pack.name}: no units.json, left as is`);
+            return;
+        }
+        const count = readJson(unitsFile).length;
+        if (pack.lvls !== count) {
+            console.log(`${pack.name}: lvls ${pack.lvls} -> ${count}`);
+            pack.lvls = count;
+        }
+    });
+    writeDetails(details);
+    console.log('Level details written.');
+    return 0;
+}
+
+// --- Scaffold ---
+function readTitles(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (file.endsWith('.json')) return JSON.parse(text);
+    return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+function scaffold(name, options) {
+    if (!name || !options.images || !options.titles) {
+        console.log('Usage: node tools/packs.js scaffold "<Pack Name>" --images <dir> --titles <file> [--event] [--cost N] [--star N] [--is-star] [--cover N] [--des "..."]');
+        return 1;
+    }
+
+    const details = loadDetails();
+    if ([...details.packs, ...details.events].some(pack => pack.name === name)) {
+        console.log(`✖ A pack named "${name}" already exists.`);
+        return 1;
+    }
+
+    const levels = readTitles(options.titles);
+    const images = fs.readdirSync(options.images)
+        .filter(file => /\.webp$/i.test(file))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    if (images.length === 0) {
+        console.log('✖ No .webp images found. Convert the artwork to WebP first.');
+        return 1;
+    }
+    if (images.length !== levels.length) {
+        console.log(`✖ ${images.length} images but ${levels.length} titles; they must pair up one to one.`);
+        return 1;
+    }
+
+    const pack = {
+        name,
+        lvls: levels.length,
+        cost: options.cost !== undefined ? Number(options.cost) : 0,
+        // Events are open to everyone unless told otherwise; packs without a star gate are bought with coins
+        star: options.star !== undefined ? Number(options.star) : (options.event ? 0 : null)
+    };
+    if (options['is-star']) pack.is_star = true;
+    pack.cover = options.cover !== undefined ? Number(options.cover) : 0;
+    if (options.des) pack.des = options.des;
+    pack.type = options.event ? 'event' : 'pack';
+
+    const dir = packDir(pack);
+    if (fs.existsSync(dir)) {
+        console.log(`✖ ${path.relative(ROOT, dir)} already exists.`);
+        return 1;
+    }
+
+    fs.mkdirSync(path.join(dir, 'img'), { recursive: true });
+    images.forEach((file, i) => fs.copyFileSync(path.join(options.images, file), path.join(dir, 'img', `${i + 1}.webp`)));
+    writeUnits(path.join(dir, 'units.json'), levels);
+
+    (options.event ? details.events : details.packs).push(pack);
+    writeDetails(details);
+
+    console.log(`Created ${path.relative(ROOT, dir)} with ${levels.length} levels.`);
+    return validate();
+}
+
+// --- CLI ---
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const key = arg.slice(2);
+        if (key === 'event' || key === 'is-star') {
+            options[key] = true;
+        } else {
+            options[key] = argv[++i];
+        }
+    }
+    return { positional, options };
+}
+
+function main(argv) {
+    const { positional, options } = parseArgs(argv);
+    const [command, ...rest] = positional;
+
+    if (command === 'validate') return validate();
+    if (command === 'regenerate') return regenerate();
+    if (command === 'scaffold') return scaffold(rest[0], options);
+
+    console.log('Usage: node tools/packs.js <validate | regenerate | scaffold>');
+    return 1;
+}
+
+process.exitCode = main(process.argv.slice(2));